@@ -0,0 +1,5 @@
+import { CommentRef } from './main'
+
+export * from './main'
+
+export default CommentRef
\ No newline at end of file
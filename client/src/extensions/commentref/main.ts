@@ -0,0 +1,63 @@
+import { mergeAttributes, Node } from '@tiptap/core';
+import { VueNodeViewRenderer } from '@tiptap/vue-3';
+import Component from './Component.vue';
+
+export interface CommentRefOptions {
+    HTMLAttributes: Record<string, any>,
+}
+
+declare module '@tiptap/core' {
+    interface Commands<ReturnType> {
+        commentref: {
+            setCommentRef: (attributes: { id: number, title: string }) => ReturnType,
+        }
+    }
+}
+
+// the cross-reference to another comment of the text, the title is kept as it was when the reference was inserted
+export const CommentRef = Node.create<CommentRefOptions>({
+    name: 'commentref',
+    draggable: true,
+    atom: true,
+    inline: true,
+    selectable: true,
+    group: 'inline',
+
+    addOptions() {
+        return {
+            HTMLAttributes: {},
+        }
+    },
+
+    addAttributes() {
+        return {
+            id: {
+                default: null,
+                parseHTML: element => Number(element.getAttribute('data-comment')) || null,
+                renderHTML: attributes => ({ 'data-comment': attributes.id }),
+            },
+            title: { default: '', },
+        }
+    },
+
+    parseHTML() { return [{ tag: 'a[data-comment]', }] },
+
+    renderText({ node }) { return `→ ${node.attrs.title}` },
+
+    renderHTML({ HTMLAttributes, node }) {
+        return ['a', mergeAttributes(this.options.HTMLAttributes, HTMLAttributes, { class: 'commentref', href: `/comment/${node.attrs.id}` }), `→ ${node.attrs.title}`];
+    },
+
+    addNodeView() { return VueNodeViewRenderer(Component) },
+
+    addCommands() {
+        return {
+            setCommentRef: attributes => ({ chain }) => {
+                return chain().insertContent({
+                    type: this.name,
+                    attrs: attributes,
+                }).run();
+            },
+        }
+    }
+});
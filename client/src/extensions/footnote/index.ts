@@ -0,0 +1,5 @@
+import { Footnote } from './main'
+
+export * from './main'
+
+export default Footnote
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { mergeAttributes, Node } from '@tiptap/core';
+import { VueNodeViewRenderer } from '@tiptap/vue-3';
+import Component from './Component.vue';
+
+export interface FootnoteOptions {
+    HTMLAttributes: Record<string, any>,
+}
+
+declare module '@tiptap/core' {
+    interface Commands<ReturnType> {
+        footnote: {
+            setFootnote: (attributes: { note: string }) => ReturnType,
+        }
+    }
+}
+
+// the note is plain text kept in the attribute, the notes are numbered in the order of the field
+export const Footnote = Node.create<FootnoteOptions>({
+    name: 'footnote',
+    draggable: true,
+    atom: true,
+    inline: true,
+    selectable: true,
+    group: 'inline',
+
+    addOptions() {
+        return {
+            HTMLAttributes: {},
+        }
+    },
+
+    addAttributes() {
+        return {
+            note: {
+                default: '',
+                parseHTML: element => element.getAttribute('title') || '',
+                renderHTML: attributes => ({ title: attributes.note }),
+            },
+        }
+    },
+
+    parseHTML() { return [{ tag: 'sup.footnote', }] },
+
+    renderText({ node }) { return `[${node.attrs.note}]` },
+
+    renderHTML({ HTMLAttributes }) {
+        return ['sup', mergeAttributes(this.options.HTMLAttributes, HTMLAttributes, { class: 'footnote' })];
+    },
+
+    addNodeView() { return VueNodeViewRenderer(Component) },
+
+    addCommands() {
+        return {
+            setFootnote: attributes => ({ chain }) => {
+                return chain().insertContent({
+                    type: this.name,
+                    attrs: attributes,
+                }).run();
+            },
+        }
+    }
+});
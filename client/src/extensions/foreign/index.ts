@@ -0,0 +1,5 @@
+import { Foreign } from './main'
+
+export * from './main'
+
+export default Foreign
\ No newline at end of file
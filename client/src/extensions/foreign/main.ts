@@ -0,0 +1,58 @@
+import { Mark, mergeAttributes } from '@tiptap/core'
+
+export interface ForeignOptions {
+  HTMLAttributes: Record<string, any>,
+}
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    foreign: {
+      setForeign: (attributes: { lang: string }) => ReturnType,
+      unsetForeign: () => ReturnType,
+    }
+  }
+}
+
+// the words in another language than the one of the comment, the language is a BCP 47 tag
+export const Foreign = Mark.create<ForeignOptions>({
+  name: 'foreign',
+
+  addOptions() {
+    return {
+      HTMLAttributes: {},
+    }
+  },
+
+  addAttributes() {
+    return {
+      lang: {
+        default: null,
+        parseHTML: element => element.getAttribute('lang'),
+        renderHTML: attributes => (attributes.lang ? { lang: attributes.lang, title: attributes.lang } : {}),
+      },
+    }
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: 'i.foreign[lang]',
+      },
+    ]
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['i', mergeAttributes(this.options.HTMLAttributes, HTMLAttributes, { class: 'foreign' }), 0]
+  },
+
+  addCommands() {
+    return {
+      setForeign: attributes => ({ commands }) => {
+        return commands.setMark(this.name, attributes)
+      },
+      unsetForeign: () => ({ commands }) => {
+        return commands.unsetMark(this.name)
+      },
+    }
+  },
+})
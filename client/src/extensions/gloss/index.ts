@@ -0,0 +1,5 @@
+import { Gloss } from './main'
+
+export * from './main'
+
+export default Gloss
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { Mark, mergeAttributes } from '@tiptap/core'
+
+export interface GlossOptions {
+  HTMLAttributes: Record<string, any>,
+}
+
+declare module '@tiptap/core' {
+  interface Commands<ReturnType> {
+    gloss: {
+      setGloss: (attributes: { gloss: string }) => ReturnType,
+      unsetGloss: () => ReturnType,
+    }
+  }
+}
+
+// the gloss of the marked words, shown after them in the published comment
+export const Gloss = Mark.create<GlossOptions>({
+  name: 'gloss',
+
+  inclusive: false,
+
+  addOptions() {
+    return {
+      HTMLAttributes: {},
+    }
+  },
+
+  addAttributes() {
+    return {
+      gloss: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-gloss') || '',
+        renderHTML: attributes => ({ 'data-gloss': attributes.gloss, title: attributes.gloss }),
+      },
+    }
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: 'span[data-gloss]',
+      },
+    ]
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['span', mergeAttributes(this.options.HTMLAttributes, HTMLAttributes, { class: 'gloss' }), 0]
+  },
+
+  addCommands() {
+    return {
+      setGloss: attributes => ({ commands }) => {
+        return commands.setMark(this.name, attributes)
+      },
+      unsetGloss: () => ({ commands }) => {
+        return commands.unsetMark(this.name)
+      },
+    }
+  },
+})
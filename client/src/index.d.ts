@@ -7,9 +7,52 @@ declare global {
   }
 
   interface ISchemeItem {
-    type: string;
+    type: 'line' | 'rich' | 'select' | 'multiselect' | 'number' | 'date' | 'url' | 'comment' | 'source';
     id: string;
     title: string;
+    role?: 'tooltip' | 'modal' | 'article' | 'hidden';
+    options?: Array<string>;
+    min?: number | null;
+    max?: number | null;
+    origin?: { id: string; type: string }; // the saved field, in the editor of the scheme only
+  }
+
+  interface ISchemeMigration {
+    op: 'rename' | 'convert' | 'merge' | 'drop';
+    from: any; // the list of fields for merge
+    to?: string;
+  }
+
+  interface ISchemePreview {
+    total: number;
+    changed: number;
+    lost: { [key: string]: number };
+    kept: { [key: string]: number };
+    invalid: Array<{ id: number; title: string; error: string }>;
+    blocked: string;
+  }
+
+  interface ISchemeVersion {
+    id: number;
+    text_id: number;
+    version: number;
+    scheme: Array<ISchemeItem>;
+    migrations: Array<ISchemeMigration> | null;
+    comments: number;
+    user_id: number | null;
+    username: string | null;
+    created: string;
+  }
+
+  interface IRefLevel {
+    title: string;
+    source: string;
+  }
+
+  interface IRefscheme {
+    levels: Array<IRefLevel>;
+    separator: string;
+    step: number;
   }
 
   interface IText {
@@ -19,6 +62,7 @@ declare global {
     meta: string;
     url: string;
     grammar: boolean;
+    tagset_id?: number | null;
     comments: boolean;
     loaded: boolean;
     published: string;
@@ -29,6 +73,7 @@ declare global {
     lang: string;
     langLabel: string;
     scheme: Array<ISchemeItem>;
+    refscheme: IRefscheme | null;
     siteclass: string;
     creditsclass: string;
     colormark: string;
@@ -98,6 +143,11 @@ declare global {
   interface CategoryRecord {
     color?: string;
     font?: string;
+    title?: string;
+    description?: string;
+    examples?: string;
+    upos?: string | null;
+    hotkey?: string | null;
   }
 
   interface ICategoriesScheme {
@@ -106,13 +156,21 @@ declare global {
 
   interface IToken {
     id: number;
+    ord?: number;
     checked?: boolean;
     form: string;
+    raw?: string;
     repr: string;
     meta: string;
     p: number;
     s: number;
-    pos?: string;
+    line?: number | null;
+    ref?: string | null;
+    tid?: number;
+    uid?: number | null;
+    pos?: string | null;
+    lemma?: string;
+    spaceafter?: boolean | null;
     comments: Array<number>;
     fmt: Array<string>;
   }
@@ -126,6 +184,115 @@ declare global {
     priority: number;
     published: boolean;
     entry: any;
+    revert?: number;
+    state?: string;
+    assignee?: number | null;
+    reviewer?: number | null;
+    ref?: string | null;
+  }
+
+  interface INote {
+    id: number;
+    comment_id: number;
+    text_id: number;
+    thread_id: number | null;
+    user_id: number;
+    content: string;
+    mentions: Array<number>;
+    issue: number | null;
+    resolved: boolean;
+    resolved_by: number | null;
+    created: string;
+  }
+
+  interface IWitness {
+    id: number;
+    text_id: number;
+    siglum: string;
+    title: string | null;
+    description: string | null;
+    format: string;
+    aligned: string | null;
+    size: number | null;
+    readings: number;
+  }
+
+  interface IReading {
+    id: number;
+    witness_id: number;
+    text_id: number;
+    start_id: number;
+    end_id: number;
+    type: 'substitution' | 'omission' | 'addition';
+    lemma: string;
+    reading: string;
+    before: boolean;
+    note: string | null;
+    siglum: string;
+  }
+
+  interface IApparatusVariant {
+    label: string;
+    sigla: Array<string>;
+    notes: Array<string>;
+  }
+
+  interface IApparatusEntry {
+    start_id: number;
+    end_id: number;
+    before: boolean;
+    lemma: string;
+    variants: { [key: string]: IApparatusVariant };
+  }
+
+  interface IParallel {
+    id: number;
+    text_id: number;
+    translation_id: number;
+    bilingual: boolean;
+    created: string;
+    text_author: string;
+    text_title: string;
+    text_lang: string;
+    translation_author: string;
+    translation_title: string;
+    translation_lang: string;
+    segments: { [level: string]: number } | null;
+  }
+
+  interface ISegment {
+    id: number;
+    parallel_id: number;
+    level: 'p' | 's' | 'token';
+    source: Array<number>;
+    target: Array<number>;
+    manual: boolean;
+  }
+
+  interface ICitation {
+    citation: string;
+    ref: string | null;
+    strings: Array<number>;
+    comments: Array<IRow>;
+    error?: string;
+  }
+
+  interface IWorkflowState {
+    id: string;
+    title: string;
+    color: string;
+    final: boolean;
+  }
+
+  interface IWorkflowTransition {
+    from: string;
+    to: string;
+    privs: number;
+  }
+
+  interface IWorkflow {
+    states: Array<IWorkflowState>;
+    transitions: Array<IWorkflowTransition>;
   }
 
   interface IFullComment {
@@ -137,6 +304,7 @@ declare global {
     priority: number;
     published: boolean;
     entry: any;
+    ref: string | null;
   }
 
   interface IImageItem {
@@ -160,7 +328,13 @@ declare global {
     tags: Array<number>;
     priority: number;
     published: null | boolean;
+    state: null | string;
+    assignee: null | number;
+    reviewer: null | number;
+    notes: number;
+    mentions: null | Array<number>;
     title: string;
+    ref: null | string;
   }
 
   interface IBackup {
@@ -186,6 +360,43 @@ declare global {
     css: keyable; // StyleValue from vue did not work out
   }
 
+  interface IRule {
+    pattern: string;
+    replacement: string;
+    flags: string;
+  }
+
+  interface IRuleset {
+    id?: number;
+    title: string;
+    lang: string | null;
+    text_id: number | null;
+    casefold: boolean;
+    rules: Array<IRule>;
+    mapping: { [key: string]: string };
+  }
+
+  interface IPosTag {
+    id?: number;
+    tag: string;
+    title: string;
+    description: string;
+    examples: string;
+    upos: string | null;
+    refine: { [key: string]: Array<string> };
+    color: string;
+    font: string;
+    hotkey?: string | null;
+  }
+
+  interface ITagset {
+    id?: number;
+    title: string;
+    lang: string | null;
+    description: string;
+    tags: Array<IPosTag>;
+  }
+
   interface CustomFileInfo extends UploadFileInfo {
     title: string;
   }
@@ -194,10 +405,11 @@ declare global {
     id?: number;
     user_id: number;
     table_name: string;
-    data0: IComment;
-    data1: IComment;
+    data0: IComment & keyable;
+    data1: IComment & keyable;
     created: string;
     record_id: number;
+    text_id?: number | null;
     present: boolean;
   }
 
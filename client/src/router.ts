@@ -157,6 +157,21 @@ const routes = [
     component: () => import('./components/Classes.vue'),
     name: 'Classes',
   },
+  {
+    path: '/rulesets',
+    component: () => import('./components/Rulesets.vue'),
+    name: 'Rulesets',
+  },
+  {
+    path: '/tagsets',
+    component: () => import('./components/Tagsets.vue'),
+    name: 'Tagsets',
+  },
+  {
+    path: '/tagging',
+    component: () => import('./components/Tagging.vue'),
+    name: 'Tagging',
+  },
   {
     path: '/logs/:id',
     component: () => import('./components/Change.vue'),
@@ -167,6 +182,26 @@ const routes = [
     component: () => import('./components/Index.vue'),
     name: 'Index',
   },
+  {
+    path: '/search',
+    component: () => import('./components/Search.vue'),
+    name: 'Search',
+  },
+  {
+    path: '/concordance',
+    component: () => import('./components/Concordance.vue'),
+    name: 'Concordance',
+  },
+  {
+    path: '/witnesses',
+    component: () => import('./components/Witnesses.vue'),
+    name: 'Witnesses',
+  },
+  {
+    path: '/translations',
+    component: () => import('./components/Translations.vue'),
+    name: 'Translations',
+  },
   {
     path: '/stats',
     component: () => import('./components/Stats.vue'),
@@ -12,10 +12,22 @@ import Placeholder from '@tiptap/extension-placeholder';
 import Blockquote from '@tiptap/extension-blockquote';
 import Bold from '@tiptap/extension-bold';
 import Image from '@tiptap/extension-image';
+import BulletList from '@tiptap/extension-bullet-list';
+import OrderedList from '@tiptap/extension-ordered-list';
+import ListItem from '@tiptap/extension-list-item';
+import Table from '@tiptap/extension-table';
+import TableRow from '@tiptap/extension-table-row';
+import TableHeader from '@tiptap/extension-table-header';
+import TableCell from '@tiptap/extension-table-cell';
+import Link from '@tiptap/extension-link';
 import Dropcursor from '@tiptap/extension-dropcursor';
 import CharacterCount from '@tiptap/extension-character-count';
 import Gapcursor from '@tiptap/extension-gapcursor';
 import Citation from './extensions/citation';
+import CommentRef from './extensions/commentref';
+import Footnote from './extensions/footnote';
+import Gloss from './extensions/gloss';
+import Foreign from './extensions/foreign';
 import Figure from '@yaskevich/extension-figure';
 import Marker from '@yaskevich/extension-marker';
 import { generateHTML } from '@tiptap/core';
@@ -51,11 +63,29 @@ const getExtensions = (sources: Array<IBib>) => [
     },
   }),
   Image,
+  BulletList,
+  OrderedList,
+  ListItem,
+  Table.configure({
+    resizable: false,
+  }),
+  TableRow,
+  TableHeader,
+  TableCell,
+  // the links are opened in the new tab, only the web and mail links are allowed
+  Link.configure({
+    openOnClick: false,
+    validate: href => /^(https?:\/\/|mailto:)/.test(href),
+  }),
   Dropcursor,
   CharacterCount.configure(),
   Citation.configure({
     sources,
   }),
+  CommentRef,
+  Footnote,
+  Gloss,
+  Foreign,
   Figure,
   Gapcursor,
 ];
@@ -72,8 +102,31 @@ const state = reactive<IState>({
 
 let browserTab: Window;
 
+// plain text of the value of the comment field which is not rich, the sources are shown by their citation keys
+const formatField = (item: ISchemeItem, value: any, sources: Array<IBib> = []) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (item.type === 'comment') {
+    return `→ #${value}`;
+  }
+  return item.type === 'source' ? sources.find(x => x.id === value)?.citekey ?? `#${value}` : String(value);
+};
+
 const hasRights = () => state!.user!.privs < 6;
 
+// the states the comment can be moved to by the current user, as the server checks them
+const getTargets = (workflow: IWorkflow, commentState?: string) => {
+  const from = workflow.states.some(x => x.id === commentState) ? commentState : workflow.states[0]?.id;
+  return workflow.transitions
+    .filter(x => x.from === from && state!.user!.privs <= Number(x.privs))
+    .map(x => workflow.states.find(y => y.id === x.to) as IWorkflowState)
+    .filter(x => x);
+};
+
 
 const styleTagRef = ref<HTMLStyleElement>();
 
@@ -98,20 +151,20 @@ const setCustomCSS = () => {
   }
 };
 
-const getFile = async (route: string, id: string): Promise<any> => {
+const getFile = async (route: string, id: string, params: Object = {}, filename: string = id): Promise<any> => {
   if (state.token && id) {
     try {
       const config = {
         headers: { Authorization: 'Bearer ' + state.token },
         responseType: 'blob',
-        params: { id: id },
+        params: { id: id, ...params },
       } as AxiosRequestConfig;
 
       const response = await axios.get('/api/' + route, config);
-      const blob = new Blob([response.data], { type: 'application/gzip' });
+      const blob = new Blob([response.data], { type: String(response.headers['content-type'] || 'application/gzip') });
       const link = document.createElement('a');
       link.href = URL.createObjectURL(blob);
-      link.download = id;
+      link.download = filename;
       link.click();
       URL.revokeObjectURL(link.href);
     } catch (error) {
@@ -311,6 +364,7 @@ export default {
   git: 'https' + project?.repository?.url?.slice(3, -4),
   getExtensions,
   convertJSONtoHTML,
+  formatField,
   setCustomCSS,
   renderSite,
   scrollTo,
@@ -320,4 +374,5 @@ export default {
   percent,
   getUserIcon,
   hasRights,
+  getTargets,
 };
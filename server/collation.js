@@ -0,0 +1,39 @@
+// collation of a witness with the text: the differing runs of words become the variant readings of the apparatus
+// the punctuation and the case are ignored, the readings are anchored to the strings of the text by their identifiers
+import diff from './diff.js';
+
+const joinForms = (items) => items.map((x) => x.form).join(' ');
+
+// the key of the reading for carrying its note over to the new collation
+const readingKey = (x) => [x.type, x.lemma, x.reading, x.before].join('\u0001');
+
+export default {
+  // rows are the words of the text, words are the normalised words of the witness, both with form and repr
+  // the notes follow the previous readings that did not change, even if their strings were replaced
+  collate(rows, words, previous = []) {
+    const { runs, same, exhaustive } = diff.compare(rows, words, (x) => x.repr.toLowerCase());
+    if (!exhaustive) {
+      return { same, exhaustive, readings: [] };
+    }
+    const readings = runs.map(({ source: [start, end], target: [from, to] }) => {
+      const reading = joinForms(words.slice(from, to));
+      if (start < end) {
+        return {
+          start_id: rows[start].id, end_id: rows[end - 1].id, type: from < to ? 'substitution' : 'omission', lemma: joinForms(rows.slice(start, end)), reading, before: false
+        };
+      }
+      // the addition at the beginning of the text precedes its first word
+      const anchor = rows[Math.max(start - 1, 0)];
+      return {
+        start_id: anchor.id, end_id: anchor.id, type: 'addition', lemma: anchor.form, reading, before: start === 0
+      };
+    });
+
+    const { mapping } = diff.align(previous, readings, readingKey);
+    readings.forEach((x, i) => {
+      const match = previous[mapping[i]];
+      Object.assign(x, { note: match && readingKey(match) === readingKey(x) ? match.note : null });
+    });
+    return { same, exhaustive, readings };
+  },
+};
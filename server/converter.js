@@ -4,10 +4,12 @@ import nlp from './nlp.js';
 
 args
   .option('path', 'Path to file with text', '')
-  .option('lang', 'Two-letter language code', 'en')
+  .option('lang', 'Two-letter language code (used if the text has no language set)', 'en')
   .option('id', 'Text ID from UI (number)')
-  .option('format', 'Text file format', 'txt')
-  .option('dry', 'Dry run', false);
+  .option('format', 'Text file format (txt, tei, perseus, conllu)', 'txt')
+  .option('dry', 'Dry run', false)
+  .option('keep', 'Re-import keeping comments and formatting of unchanged tokens', false)
+  .option('pos', 'CoNLL-U column with part-of-speech tags (upos or xpos)', 'upos');
 // .example('--path ./essay.txt --lang fr id 5 format html --dry', '');
 
 const flags = args.parse(process.argv);
@@ -18,7 +20,8 @@ console.log(
 • Language: ${flags.lang}
 • ID: ${flags.id}
 • Format: ${flags.format}
-• Dry run: ${flags.dry}`,
+• Dry run: ${flags.dry}
+• Keep comments: ${flags.keep}`,
 );
 
 if (!(flags.path && fs.existsSync(flags.path))) {
@@ -38,12 +41,16 @@ if (flags.dry) {
 const content = fs.readFileSync(flags.path, 'utf8');
 
 if (flags.format === 'txt') {
-  const result = await nlp.importText(false, flags.id, flags.lang, content, flags.dry);
-  console.log(result);
-} else if (flags.format === 'perseus') {
-  console.log('Format: Perseus XML');
-  const result = await nlp.processTEI(content, flags.format);
-  console.log(result);
+  const result = await nlp.importText(false, flags.id, content, flags.lang, false, flags.keep, flags.dry);
+  console.dir(result, { depth: 3 });
+} else if (flags.format === 'perseus' || flags.format === 'tei') {
+  console.log('Format: TEI (Perseus) XML');
+  const result = await nlp.importTEI(false, flags.id, content, false, flags.dry, flags.keep);
+  console.dir(result, { depth: 3 });
+} else if (flags.format === 'conllu') {
+  console.log('Format: CoNLL-U');
+  const result = await nlp.importConll(false, flags.id, content, false, flags.dry, flags.keep, flags.pos);
+  console.dir(result, { depth: 3 });
 }
 
 console.log('\nDone!');
@@ -5,6 +5,13 @@ import path from 'path';
 import pg from 'pg';
 import { Worker } from 'worker_threads';
 import { fileURLToPath } from 'url';
+import normalizer, { belarusianRuleset } from './normalizer.js';
+import tagsets, { kolasTagset, universalTagset } from './tagsets.js';
+import workflow from './workflow.js';
+import search from './search.js';
+import references from './references.js';
+import fields from './fields.js';
+import collation from './collation.js';
 
 const configLoaded = dotenv.config();
 
@@ -53,7 +60,10 @@ const databaseScheme = {
     published TIMESTAMP WITH TIME ZONE,
     zipsize INTEGER,
     loaded BOOLEAN DEFAULT false NOT NULL,
-    comments BOOLEAN DEFAULT false NOT NULL`,
+    comments BOOLEAN DEFAULT false NOT NULL,
+    grammar BOOLEAN DEFAULT false NOT NULL,
+    tagset_id INTEGER,
+    refscheme JSON`,
 
   tags: `
     id SERIAL PRIMARY KEY,
@@ -91,6 +101,7 @@ const databaseScheme = {
     id SERIAL PRIMARY KEY,
     token_id INTEGER,
     pos TEXT,
+    lemma TEXT,
     CONSTRAINT fk_units_tokens FOREIGN KEY(token_id) REFERENCES tokens(id)`,
 
   comments: `
@@ -102,17 +113,26 @@ const databaseScheme = {
     tags INTEGER[] DEFAULT '{}',
     issues INTEGER[] DEFAULT '{}',
     entry JSON,
+    state TEXT,
+    assignee INTEGER,
+    reviewer INTEGER,
     CONSTRAINT fk_comments_texts FOREIGN KEY(text_id) REFERENCES texts(id)`,
 
+  // the strings of the text follow each other by ord, ids are never reused or renumbered
   strings: `
     id SERIAL PRIMARY KEY,
     text_id INTEGER,
+    ord INTEGER,
     p INTEGER,
     s INTEGER,
     line INTEGER,
+    ref TEXT,
+    speaker TEXT,
     form TEXT,
+    raw TEXT,
     repr TEXT,
     fmt TEXT[] DEFAULT '{}',
+    spaceafter BOOLEAN,
     token_id INTEGER,
     unit_id INTEGER,
     comments INTEGER[] DEFAULT '{}',
@@ -128,6 +148,7 @@ const databaseScheme = {
     data1 JSON,
     table_name TEXT NOT NULL,
     record_id INTEGER NOT NULL,
+    text_id INTEGER,
     CONSTRAINT fk_logs_users FOREIGN KEY(user_id) REFERENCES users(id)`,
 
   images: `
@@ -152,12 +173,125 @@ const databaseScheme = {
     registration_open BOOLEAN DEFAULT TRUE,
     registration_code TEXT,
     txtsizelimit INTEGER NOT NULL DEFAULT 10,
-    imgsizelimit INTEGER NOT NULL DEFAULT 1`,
+    imgsizelimit INTEGER NOT NULL DEFAULT 1,
+    workflow JSON`,
 
   classes: `
     id SERIAL PRIMARY KEY,
     name TEXT NOT NULL UNIQUE,
     css JSON`,
+
+  rulesets: `
+    id SERIAL PRIMARY KEY,
+    title TEXT NOT NULL,
+    lang TEXT,
+    text_id INTEGER,
+    casefold BOOLEAN NOT NULL DEFAULT FALSE,
+    rules JSON NOT NULL DEFAULT '[]',
+    mapping JSON NOT NULL DEFAULT '{}',
+    CONSTRAINT fk_rulesets_texts FOREIGN KEY(text_id) REFERENCES texts(id)`,
+
+  tagsets: `
+    id SERIAL PRIMARY KEY,
+    title TEXT NOT NULL,
+    lang TEXT,
+    description TEXT`,
+
+  postags: `
+    id SERIAL PRIMARY KEY,
+    tagset_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    title TEXT,
+    description TEXT,
+    examples TEXT,
+    upos TEXT,
+    refine JSON NOT NULL DEFAULT '{}',
+    color TEXT,
+    font TEXT,
+    hotkey TEXT,
+    UNIQUE (tagset_id, tag),
+    CONSTRAINT fk_postags_tagsets FOREIGN KEY(tagset_id) REFERENCES tagsets(id)`,
+
+  // the discussion of comments is not a part of the entry and is never published
+  // the notes of deleted comments are kept, so that the restored comment gets its discussion back
+  notes: `
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL,
+    text_id INTEGER NOT NULL,
+    thread_id INTEGER,
+    user_id INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    mentions INTEGER[] DEFAULT '{}',
+    issue INTEGER,
+    resolved BOOLEAN NOT NULL DEFAULT false,
+    resolved_by INTEGER,
+    created TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_notes_users FOREIGN KEY(user_id) REFERENCES users(id),
+    CONSTRAINT fk_notes_notes FOREIGN KEY(thread_id) REFERENCES notes(id)`,
+
+  // the other witnesses of the text are kept as imported and collated with the text word by word
+  witnesses: `
+    id SERIAL PRIMARY KEY,
+    text_id INTEGER NOT NULL,
+    siglum TEXT NOT NULL,
+    title TEXT,
+    description TEXT,
+    format TEXT NOT NULL DEFAULT 'text',
+    content TEXT,
+    words JSON,
+    aligned TIMESTAMP WITH TIME ZONE,
+    UNIQUE (text_id, siglum),
+    CONSTRAINT fk_witnesses_texts FOREIGN KEY(text_id) REFERENCES texts(id)`,
+
+  // the variant reading spans the strings of the text from start_id to end_id
+  // an addition is placed after its string, or before it at the beginning of the text
+  readings: `
+    id SERIAL PRIMARY KEY,
+    witness_id INTEGER NOT NULL,
+    text_id INTEGER NOT NULL,
+    start_id INTEGER NOT NULL,
+    end_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    lemma TEXT NOT NULL DEFAULT '',
+    reading TEXT NOT NULL DEFAULT '',
+    before BOOLEAN NOT NULL DEFAULT false,
+    note TEXT,
+    CONSTRAINT fk_readings_witnesses FOREIGN KEY(witness_id) REFERENCES witnesses(id)`,
+
+  // the text and its translation, which can be published together as a bilingual edition
+  parallels: `
+    id SERIAL PRIMARY KEY,
+    text_id INTEGER NOT NULL,
+    translation_id INTEGER NOT NULL,
+    bilingual BOOLEAN NOT NULL DEFAULT false,
+    created TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (text_id, translation_id),
+    CONSTRAINT fk_parallels_texts FOREIGN KEY(text_id) REFERENCES texts(id),
+    CONSTRAINT fk_parallels_translations FOREIGN KEY(translation_id) REFERENCES texts(id)`,
+
+  // the aligned units of the pair: paragraph numbers (p), sentence numbers (s) or string identifiers (token)
+  segments: `
+    id SERIAL PRIMARY KEY,
+    parallel_id INTEGER NOT NULL,
+    level TEXT NOT NULL,
+    source INTEGER[] NOT NULL DEFAULT '{}',
+    target INTEGER[] NOT NULL DEFAULT '{}',
+    manual BOOLEAN NOT NULL DEFAULT false,
+    CONSTRAINT fk_segments_parallels FOREIGN KEY(parallel_id) REFERENCES parallels(id)`,
+
+  // the versions of the scheme of comments of the text with the migrations of the entries made to reach them
+  // the scheme before the first versioned change is kept as version 1, without author and migrations
+  schemes: `
+    id SERIAL PRIMARY KEY,
+    text_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    scheme JSON NOT NULL,
+    migrations JSON,
+    comments INTEGER NOT NULL DEFAULT 0,
+    user_id INTEGER,
+    created TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (text_id, version),
+    CONSTRAINT fk_schemes_texts FOREIGN KEY(text_id) REFERENCES texts(id)`,
 };
 
 let tablesResult;
@@ -189,6 +323,23 @@ const prepareTable = async (args) => {
       if (tableName === 'classes') {
         await pool.query('INSERT INTO classes (name, css) VALUES($1, $2)', ['error', '{"color": "#ff0000", "background-color": "#ffff00"}']);
       }
+      if (tableName === 'rulesets') {
+        // not assigned to any language or text, serves as a template
+        const seed = belarusianRuleset;
+        await pool.query('INSERT INTO rulesets (title, casefold, rules, mapping) VALUES($1, $2, $3, $4)', [seed.title, seed.casefold, JSON.stringify(seed.rules), seed.mapping]);
+      }
+      if (tableName === 'postags') {
+        // the tags are seeded along with their tagsets, created just before
+        /* eslint-disable no-await-in-loop, no-restricted-syntax */
+        for (const seed of [kolasTagset, universalTagset]) {
+          const result = await pool.query('INSERT INTO tagsets (title, lang, description) VALUES($1, $2, $3) RETURNING id', [seed.title, seed.lang, seed.description]);
+          for (const x of seed.tags) {
+            const values = [result.rows[0].id, x.tag, x.title, x.upos, x.refine, x.color, x.font, x.hotkey];
+            await pool.query('INSERT INTO postags (tagset_id, tag, title, upos, refine, color, font, hotkey) VALUES($1, $2, $3, $4, $5, $6, $7, $8)', values);
+          }
+        }
+        /* eslint-enable no-await-in-loop, no-restricted-syntax */
+      }
     } catch (createError) {
       console.error(createError);
       console.error(`Issue with table '${tableName}'!`);
@@ -226,11 +377,356 @@ if (tables.length !== Object.keys(databaseScheme).length) {
   }
 }
 
+// columns added to the tables after their initial release
+const databaseUpdates = [
+  'ALTER TABLE strings ADD COLUMN IF NOT EXISTS speaker TEXT',
+  'ALTER TABLE strings ADD COLUMN IF NOT EXISTS raw TEXT',
+  'ALTER TABLE strings ADD COLUMN IF NOT EXISTS spaceafter BOOLEAN',
+  'ALTER TABLE units ADD COLUMN IF NOT EXISTS lemma TEXT',
+  'ALTER TABLE texts ADD COLUMN IF NOT EXISTS grammar BOOLEAN DEFAULT false NOT NULL',
+  'ALTER TABLE texts ADD COLUMN IF NOT EXISTS tagset_id INTEGER',
+  'ALTER TABLE postags ADD COLUMN IF NOT EXISTS hotkey TEXT',
+  'ALTER TABLE logs ADD COLUMN IF NOT EXISTS text_id INTEGER',
+  `UPDATE logs SET text_id = COALESCE(data1->>'text_id', data0->>'text_id')::int
+    WHERE text_id IS NULL AND COALESCE(data1->>'text_id', data0->>'text_id') ~ '^[0-9]+$'`,
+  'ALTER TABLE comments ADD COLUMN IF NOT EXISTS state TEXT',
+  'ALTER TABLE comments ADD COLUMN IF NOT EXISTS assignee INTEGER',
+  'ALTER TABLE comments ADD COLUMN IF NOT EXISTS reviewer INTEGER',
+  'ALTER TABLE settings ADD COLUMN IF NOT EXISTS workflow JSON',
+  'ALTER TABLE texts ADD COLUMN IF NOT EXISTS refscheme JSON',
+  'ALTER TABLE strings ADD COLUMN IF NOT EXISTS ref TEXT',
+  'ALTER TABLE strings ADD COLUMN IF NOT EXISTS ord INTEGER',
+  // the strings were ordered by id before
+  `UPDATE strings SET ord = x.n FROM (SELECT id, row_number() OVER (PARTITION BY text_id ORDER BY id) AS n FROM strings) AS x
+    WHERE strings.id = x.id AND strings.ord IS NULL`,
+  'CREATE INDEX IF NOT EXISTS strings_text_ord ON strings (text_id, ord)',
+  'ALTER TABLE witnesses ADD COLUMN IF NOT EXISTS words JSON',
+  // the published comments were in the final state of the default workflow
+  "UPDATE comments SET state = CASE WHEN published THEN 'approved' ELSE 'draft' END WHERE state IS NULL",
+];
+
+try {
+  /* eslint-disable-next-line no-restricted-syntax */
+  for (const sql of databaseUpdates) {
+    /* eslint-disable-next-line no-await-in-loop */
+    await pool.query(sql);
+  }
+} catch (error) {
+  console.error('updating database: error\n', error);
+}
+
 const cleanCommentObject = (obj) => {
   const { id, ...rest } = obj;
   return rest;
 };
 
+// PostgreSQL array literals of comment tags and issues (pairs of issue and user)
+const formatCommentArrays = (obj) => [
+  `{${obj?.tags?.length ? obj.tags.join(',') : ''}}`,
+  `{${obj?.issues?.length ? obj.issues.map((x) => `{${x.join(',')}}`).join(',') : ''}}`,
+];
+
+// the values of the entry follow the types of the fields of the text scheme, the referenced comments and sources exist
+const checkCommentEntry = async (textId, commentId, entry) => {
+  const [text] = (await pool.query('SELECT scheme FROM texts WHERE id = $1', [textId])).rows;
+  const error = fields.check(text?.scheme, entry);
+  if (error) {
+    return error;
+  }
+  const [comments, sources] = ['comment', 'source'].map((type) => [...new Set(fields.links(text?.scheme, entry, type))]);
+  if (comments.includes(commentId)) {
+    return 'the comment cannot reference itself';
+  }
+  const sql = `SELECT (SELECT count(*) FROM comments WHERE text_id = $1 AND id = ANY($2::int[]))::int AS comments,
+    (SELECT count(*) FROM sources WHERE id = ANY($3::int[]))::int AS sources`;
+  const [found] = (await pool.query(sql, [textId, comments, sources])).rows;
+  if (found.comments < comments.length) {
+    return 'the referenced comment does not exist in the text';
+  }
+  return found.sources < sources.length ? 'the referenced source does not exist' : '';
+};
+
+// the entries of the comments of the text migrated to the new scheme
+// the values of the fields removed from the scheme (lost) or turned invalid by the change of the type block the change,
+// the keys which were not in the previous scheme either are left as they are
+const planSchemeMigration = async (client, textId, scheme, migrations, lock) => {
+  const [text] = (await client.query(`SELECT scheme FROM texts WHERE id = $1${lock ? ' FOR UPDATE' : ''}`, [textId])).rows;
+  if (!text) {
+    throw new Error(`text ${textId} does not exist`);
+  }
+  const { rows } = await client.query(`SELECT * FROM comments WHERE text_id = $1 ORDER BY id${lock ? ' FOR UPDATE' : ''}`, [textId]);
+  const previousIds = new Set(fields.get(text.scheme).map((x) => x.id));
+  const plan = {
+    previous: text.scheme, total: rows.length, changed: [], lost: {}, kept: {}, invalid: [],
+  };
+  rows.forEach((row) => {
+    const entry = fields.migrate(scheme, row.entry, migrations);
+    fields.orphans(scheme, entry).forEach((key) => {
+      const counts = previousIds.has(key) ? plan.lost : plan.kept;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    const error = fields.check(scheme, entry);
+    if (error && !fields.check(text.scheme, row.entry)) {
+      plan.invalid.push({ id: row.id, title: row.title, error });
+    }
+    if (JSON.stringify(entry) !== JSON.stringify(row.entry || {})) {
+      plan.changed.push({ row, entry });
+    }
+  });
+  return plan;
+};
+
+// only the properties of the fields known for their types are stored
+const sanitizeScheme = (scheme) => fields.get(scheme).map((x) => ({
+  id: x.id,
+  title: x.title.trim(),
+  type: x.type,
+  role: x.role,
+  ...(['select', 'multiselect'].includes(x.type) && { options: x.options.map((option) => String(option).trim()) }),
+  ...(x.type === 'number' && typeof x.min === 'number' && { min: x.min }),
+  ...(x.type === 'number' && typeof x.max === 'number' && { max: x.max }),
+}));
+
+const describeSchemeMigration = (plan) => {
+  const lost = Object.keys(plan.lost);
+  if (lost.length) {
+    return `the values of the removed fields (${lost.join(', ')}) would be orphaned, drop or move them`;
+  }
+  const [invalid] = plan.invalid;
+  return invalid ? `${plan.invalid.length} comments would get invalid values, e.g. #${invalid.id} ${invalid.title} (${invalid.error})` : '';
+};
+
+// the columns that never get into the snapshots of the audit log
+const redactedColumns = {
+  users: ['_passhash', 'email', 'note'],
+  settings: ['registration_code'],
+};
+
+const redact = (table, row) => {
+  const columns = redactedColumns[table] || [];
+  return row && Object.fromEntries(Object.entries(row).filter(([key]) => !columns.includes(key)));
+};
+
+// the audit log keeps snapshots of the record before (data0) and after (data1) the change, empty object stands for no record
+// records without integer key (settings, images) are logged with record_id 0, the key stays in the snapshot
+const logChange = async (client, user, table, recordId, data0, data1) => {
+  if (!user?.id) {
+    return undefined; // command line import
+  }
+  // the current text of the user is not the text the record belongs to
+  const textId = table === 'texts' ? recordId : table !== 'users' && (data1?.text_id ?? data0?.text_id);
+  const sql = 'INSERT INTO logs (user_id, table_name, record_id, data0, data1, text_id) VALUES($1, $2, $3, $4, $5, $6) RETURNING id';
+  const values = [user.id, table, Number.isInteger(recordId) ? recordId : 0, redact(table, data0) || {}, redact(table, data1) || {}, Number(textId) || null];
+  const result = await client.query(sql, values);
+  return result.rows[0].id;
+};
+
+const takeSnapshot = async (client, table, key, value) => {
+  const result = await client.query(`SELECT * FROM ${table} WHERE ${key} = $1`, [value]);
+  const row = result.rows[0] || {};
+  Reflect.deleteProperty(row, '_passhash');
+  return row;
+};
+
+// runs the mutation of a single record in a transaction and logs its snapshots
+// the record is found by the value of the key, or by the key returned by the mutation if it is inserted
+const audit = async (user, table, key, value, mutate) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const data0 = value ? await takeSnapshot(client, table, key, value) : {};
+    const result = await mutate(client);
+    const recordKey = result?.rows?.[0]?.[key] ?? value;
+    const data1 = recordKey ? await takeSnapshot(client, table, key, recordKey) : {};
+    if (Object.keys(data0).length || Object.keys(data1).length) {
+      await logChange(client, user, table, data1.id ?? data0.id, data0, data1);
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const sqlSelectStrings = 'SELECT strings.*, tokens.meta FROM strings LEFT JOIN tokens ON strings.token_id = tokens.id WHERE ';
+
+// the references of the first and the last strings bound to the comment
+const sqlCommentRefs = `(SELECT ref FROM strings WHERE strings.text_id = comments.text_id AND comments.id = ANY(strings.comments) ORDER BY strings.ord LIMIT 1) AS ref_first,
+  (SELECT ref FROM strings WHERE strings.text_id = comments.text_id AND comments.id = ANY(strings.comments) ORDER BY strings.ord DESC LIMIT 1) AS ref_last`;
+
+// comments are cited by the range of references of their strings, like `1.2.15–18`
+const citeComments = async (textId, rows) => {
+  const [text] = (await pool.query('SELECT refscheme FROM texts WHERE id = $1', [textId])).rows;
+  const { separator } = references.get(text?.refscheme);
+  return rows.map(({ ref_first: first, ref_last: last, ...row }) => ({ ...row, ref: references.formatRange(first, last, separator) }));
+};
+
+// changes of the strings are logged as lists of rows, like the edits of the token stream
+const auditStrings = async (user, op, ids, mutate) => {
+  const client = await pool.connect();
+  const sql = `${sqlSelectStrings} strings.id = ANY($1::int[]) ORDER BY strings.ord`;
+  try {
+    await client.query('BEGIN');
+    const before = (await client.query(sql, [ids])).rows;
+    const result = await mutate(client);
+    const after = (await client.query(sql, [ids])).rows;
+    if (before.length) {
+      const textId = before[0].text_id;
+      await logChange(client, user, 'strings', before[0].id, { text_id: textId, op, strings: before }, { text_id: textId, op, strings: after });
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// a tagset with its tags, as the tagsets page gets them
+const selectTagset = async (client, id) => {
+  const sql = `SELECT tagsets.*, COALESCE(json_agg(postags ORDER BY postags.id) FILTER (WHERE postags.id IS NOT NULL), '[]') AS tags
+    FROM tagsets LEFT JOIN postags ON postags.tagset_id = tagsets.id WHERE tagsets.id = $1 GROUP BY tagsets.id`;
+  const result = await client.query(sql, [id]);
+  return result.rows[0] || {};
+};
+
+const stringEditOperations = ['correct', 'split', 'merge', 'insert', 'delete'];
+
+const isTokenValid = (repr) => typeof repr === 'string' && repr.length && !/\s/.test(repr);
+
+const getTokenMeta = (repr) => (/^[\p{L}\d$'’*-]+$/u.test(repr) ? 'word' : 'ip');
+
+// the rule set of the text itself takes precedence over the one of its language
+const selectRuleset = async (client, textId, lang) => {
+  const sql = 'SELECT * FROM rulesets WHERE text_id = $1 OR (text_id IS NULL AND lang = $2) ORDER BY text_id IS NULL, id LIMIT 1';
+  const result = await client.query(sql, [textId, lang]);
+  return result.rows[0];
+};
+
+// normalises the token and returns its id, adding it to the vocabulary if needed
+const linkToken = async (client, raw, lang, compiled, meta) => {
+  const tokenMeta = meta || getTokenMeta(raw);
+  const { repr, token } = normalizer.apply(compiled, raw, tokenMeta);
+  await client.query('INSERT INTO tokens (token, lang, meta) VALUES($1, $2, $3) ON CONFLICT (token, lang) DO NOTHING', [token, lang, tokenMeta]);
+  const result = await client.query('SELECT id FROM tokens WHERE token = $1 AND lang = $2', [token, lang]);
+  return { id: result.rows[0].id, raw, repr };
+};
+
+// returns id of the unit with the part of speech and lemma for the vocabulary token, creating it if needed
+const findUnit = async (client, tokenId, pos, lemma) => {
+  const values = [tokenId, pos, lemma ?? null];
+  const result = await client.query('SELECT id FROM units WHERE token_id = $1 AND pos = $2 AND lemma IS NOT DISTINCT FROM $3 ORDER BY id LIMIT 1', values);
+  if (result.rows.length) {
+    return result.rows[0].id;
+  }
+  const inserted = await client.query('INSERT INTO units (token_id, pos, lemma) VALUES($1, $2, $3) RETURNING id', values);
+  return inserted.rows[0].id;
+};
+
+// sets the unit of the token with the part of speech to the strings selected by the condition, the strings keep their lemmata
+const tagStrings = async (client, tokenId, pos, condition, values) => {
+  const sqlSelect = 'SELECT strings.id, strings.repr, strings.unit_id, units.pos, units.lemma FROM strings LEFT JOIN units ON strings.unit_id = units.id';
+  const before = (await client.query(`${sqlSelect} WHERE ${condition} ORDER BY strings.ord`, values)).rows;
+  const units = new Map();
+  /* eslint-disable no-await-in-loop */
+  /* eslint-disable-next-line no-restricted-syntax */
+  for (const lemma of new Set(before.map((x) => x.lemma ?? null))) {
+    units.set(lemma, pos ? await findUnit(client, tokenId, pos, lemma) : null);
+  }
+  /* eslint-enable no-await-in-loop */
+  const after = before.map((x) => ({
+    ...x, unit_id: units.get(x.lemma ?? null), pos: pos || null, lemma: pos ? x.lemma : null
+  }));
+  await client.query(`UPDATE strings SET unit_id = x.unit_id FROM json_to_recordset($1) AS x(id INTEGER, unit_id INTEGER)
+    WHERE strings.id = x.id`, [JSON.stringify(after.map(({ id, unit_id: unitId }) => ({ id, unit_id: unitId })))]);
+  return { before, after };
+};
+
+// a gap is made for the inserted strings (positive size) or closed after the removed ones (negative size) by moving the next strings of the text
+const shiftStrings = async (client, textId, afterOrd, size) => {
+  await client.query('UPDATE strings SET ord = ord + $3 WHERE text_id = $1 AND ord > $2', [textId, afterOrd, size]);
+};
+
+// the links of the tokens of the aligned pairs follow the strings of the text, each string is replaced by the ones it is mapped to
+// (none if it was removed), the links left without tokens on any side are dropped; the changes are logged per pair like alignments
+const remapTokenSegments = async (client, user, textId, mapping, dryRun) => {
+  const sql = `SELECT segments.*, parallels.text_id, parallels.translation_id FROM segments JOIN parallels ON segments.parallel_id = parallels.id
+    WHERE segments.level = 'token' AND $1 IN (parallels.text_id, parallels.translation_id) ORDER BY segments.id`;
+  const { rows } = await client.query(sql, [textId]);
+  const remap = (ids) => [...new Set(ids.flatMap((x) => mapping[x] ?? [x]))];
+  const changed = rows
+    .map((x) => ({ ...x, source: x.text_id === textId ? remap(x.source) : x.source, target: x.translation_id === textId ? remap(x.target) : x.target }))
+    .filter((x, i) => String(x.source) !== String(rows[i].source) || String(x.target) !== String(rows[i].target));
+  const dropped = changed.filter((x) => !x.source.length || !x.target.length);
+  if (changed.length && !dryRun) {
+    await client.query(`UPDATE segments SET source = x.source, target = x.target
+      FROM json_to_recordset($1) AS x(id INTEGER, source INTEGER[], target INTEGER[]) WHERE segments.id = x.id`, [JSON.stringify(changed)]);
+    await client.query('DELETE FROM segments WHERE id = ANY($1::int[])', [dropped.map((x) => x.id)]);
+    const op = 'align';
+    const level = 'token';
+    /* eslint-disable no-await-in-loop */
+    /* eslint-disable-next-line no-restricted-syntax */
+    for (const pair of [...new Set(changed.map((x) => x.parallel_id))]) {
+      const [total, lost] = [rows, dropped].map((list) => list.filter((x) => x.parallel_id === pair).length);
+      const pairTextId = changed.find((x) => x.parallel_id === pair).text_id;
+      await logChange(client, user, 'parallels', pair, {
+        text_id: pairTextId, op, level, segments: total
+      }, {
+        text_id: pairTextId, op, level, segments: total - lost
+      });
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+  return { changed: changed.length - dropped.length, dropped: dropped.length };
+};
+
+// the readings of the text in the order of their places, or the readings of one witness only
+const sqlSelectReadings = `SELECT readings.*, witnesses.siglum FROM readings JOIN witnesses ON readings.witness_id = witnesses.id
+  LEFT JOIN strings AS starts ON readings.start_id = starts.id LEFT JOIN strings AS ends ON readings.end_id = ends.id
+  WHERE readings.text_id = $1 AND ($2::int IS NULL OR readings.witness_id = $2)
+  ORDER BY starts.ord, readings.before DESC, ends.ord, readings.type, readings.reading, witnesses.siglum`;
+
+// the readings of the witness are replaced by the new collation, which is logged as a whole
+const replaceReadings = async (client, user, witness, readings) => {
+  const before = (await client.query('DELETE FROM readings WHERE witness_id = $1', [witness.id])).rowCount;
+  await client.query(`INSERT INTO readings (witness_id, text_id, start_id, end_id, type, lemma, reading, before, note)
+    SELECT $1, $2, x.start_id, x.end_id, x.type, x.lemma, x.reading, x.before, x.note FROM json_to_recordset($3)
+    AS x(start_id INTEGER, end_id INTEGER, type TEXT, lemma TEXT, reading TEXT, before BOOLEAN, note TEXT)`, [witness.id, witness.text_id, JSON.stringify(readings)]);
+  await client.query('UPDATE witnesses SET aligned = NOW() WHERE id = $1', [witness.id]);
+  const op = 'collate';
+  await logChange(client, user, 'witnesses', witness.id, { text_id: witness.text_id, op, readings: before }, { text_id: witness.text_id, op, readings: readings.length });
+};
+
+// the witnesses of the text are collated again with its words after the strings were edited, in the same transaction
+// the ones collated before their words were kept are returned as stale, they are collated again from their content
+const recollateWitnesses = async (client, user, textId) => {
+  const sqlWords = `SELECT strings.id, strings.form, strings.repr FROM strings JOIN tokens ON strings.token_id = tokens.id
+    WHERE strings.text_id = $1 AND tokens.meta = 'word' ORDER BY strings.ord`;
+  const [{ rows: witnesses }, { rows }] = await Promise.all([
+    client.query("SELECT id, text_id, words FROM witnesses WHERE text_id = $1 AND content <> '' ORDER BY id", [textId]),
+    client.query(sqlWords, [textId]),
+  ]);
+  let collated = 0;
+  /* eslint-disable no-await-in-loop */
+  /* eslint-disable-next-line no-restricted-syntax */
+  for (const witness of witnesses.filter((x) => x.words?.length)) {
+    const previous = (await client.query(sqlSelectReadings, [textId, witness.id])).rows;
+    const { readings, exhaustive } = collation.collate(rows, witness.words, previous);
+    // the witness too different from the text keeps its readings, as when it is collated anew
+    if (rows.length && exhaustive) {
+      await replaceReadings(client, user, witness, readings);
+      collated += 1;
+    }
+  }
+  /* eslint-enable no-await-in-loop */
+  return { collated, stale: witnesses.filter((x) => !x.words?.length).map((x) => x.id) };
+};
+
 const getSettings = async () => {
   let data = [];
   const sql = 'SELECT * FROM settings';
@@ -245,24 +741,62 @@ const getSettings = async () => {
 
 let settings = await getSettings();
 
+const getSearchConfigs = async () => {
+  let data = [];
+  try {
+    const result = await pool.query('SELECT cfgname FROM pg_ts_config');
+    data = result.rows.map((x) => x.cfgname);
+  } catch (err) {
+    console.error(err);
+  }
+  return data;
+};
+
+const searchConfigs = await getSearchConfigs();
+
+// the text of the entry of a comment: the string fields, the options chosen in the multi-select ones and the text nodes of the rich ones
+const sqlEntryText = `SELECT string_agg(x #>> '{}', ' ') AS body FROM (
+  SELECT jsonb_path_query(COALESCE(c.entry::jsonb, '{}'), 'strict $.* ? (@.type() == "string")')
+  UNION ALL
+  SELECT jsonb_path_query(COALESCE(c.entry::jsonb, '{}'), 'strict $.* ? (@.type() == "array")[*] ? (@.type() == "string")')
+  UNION ALL
+  SELECT jsonb_path_query(COALESCE(c.entry::jsonb, '{}'), 'strict $.** ? (@.text.type() == "string").text')
+) AS fields(x)`;
+
 export default {
   getSettings,
   getSettingsState() { return settings; },
   async updateSettings(user, params) {
     // console.log(user);
     if (user.privs < 3) {
+      if (params.workflow && workflow.validate(params.workflow)) {
+        return 0;
+      }
       const columns = databaseScheme.settings.split(',').map((x) => x.trim().split(' ').shift());
       const query = Object.fromEntries(
         Object.entries(params).filter(([key]) => columns.includes(key))
       );
       // console.log('settings', query);
       const sql = `UPDATE settings SET ${Object.keys(query).map((x, i) => `${x} = $${i + 1}`)}`;
-      const result = await pool.query(sql, Object.values(query));
-      const { rowCount } = result;
-      if (rowCount === 1) {
-        settings = query;
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const [before] = (await client.query('SELECT * FROM settings')).rows;
+        const result = await client.query(sql, Object.values(query));
+        const [after] = (await client.query('SELECT * FROM settings')).rows;
+        await logChange(client, user, 'settings', 0, before, after);
+        await client.query('COMMIT');
+        const { rowCount } = result;
+        if (rowCount === 1) {
+          settings = { ...settings, ...query };
+        }
+        return rowCount;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(error);
+      } finally {
+        client.release();
       }
-      return rowCount;
     }
     return 0;
   },
@@ -336,6 +870,9 @@ export default {
     // console.log(pwd, hash);
     const result = await pool.query('INSERT INTO users (requested, username, firstname, lastname, email, sex, privs, _passhash, activated, note) VALUES(NOW(), LOWER($1), INITCAP($2), INITCAP($3), LOWER($4), $5, $6, $7, $8, $9) RETURNING id', [data.username, data.firstname, data.lastname, data.email, data.sex, privs, hash, isActivated, note]);
     if (result.rows.length === 1) {
+      // the registered user is the author of the change, unless the user is created by the administrator
+      const [{ id }] = result.rows;
+      await logChange(pool, user?.id ? user : { id }, 'users', id, {}, await takeSnapshot(pool, 'users', 'id', id));
       return { message: pwd, status: isActivated, setup };
     }
     return { error: 'user' };
@@ -350,7 +887,7 @@ export default {
     if (userId && currentUser.privs === 1) {
       try {
         const sql = 'UPDATE users SET privs = $2 WHERE id = $1 RETURNING id';
-        const result = await pool.query(sql, [userId, privs]);
+        const result = await audit(currentUser, 'users', 'id', userId, (client) => client.query(sql, [userId, privs]));
         data = result?.rows?.[0];
       } catch (err) {
         console.error(err);
@@ -363,7 +900,7 @@ export default {
       try {
         const pwd = passGen.generate(passOptions);
         const hash = await bcrypt.hash(pwd, saltRounds);
-        await pool.query('UPDATE users SET _passhash = $2 WHERE id = $1', [id, hash]);
+        await audit(currentUser, 'users', 'id', id, (client) => client.query('UPDATE users SET _passhash = $2 WHERE id = $1', [id, hash]));
         return { message: pwd, id };
       } catch (error) {
         console.error(error);
@@ -385,7 +922,7 @@ export default {
           console.log('username');
           data = { error: 'username not unique' };
         } else {
-          const result = await pool.query(sql, values);
+          const result = await audit(currentUser, 'users', 'id', userId, (client) => client.query(sql, values));
           data = result?.rows?.[0];
         }
       } catch (err) {
@@ -394,132 +931,93 @@ export default {
     }
     return data;
   },
-  async getCorpusAsConll() {
-    const sql = 'select strings.id as sid, strings.p, strings.form as v, strings.s, strings.token_id as tid, strings.repr, tokens.token as utoken, strings.unit_id as uid, pos as cl from strings left  join tokens on strings.token_id = tokens.id  left  join units on strings.unit_id = units.id order by sid';
-    let conll = [];
-    try {
-      const result = await pool.query(sql);
-      conll = result?.rows;
-    } catch (err) {
-      console.error(err);
-    }
-    return conll;
-  },
-  async getStrings() {
-    const sql = 'select strings.id as sid, strings.p, strings.form as v, strings.s, strings.token_id as tid, strings.repr, tokens.token as utoken, strings.unit_id as uid, pos as cl from strings left  join tokens on strings.token_id = tokens.id  left  join units on strings.unit_id = units.id order by sid';
+  // vocabulary words of the text having untagged occurrences, sorted by their endings
+  async getUntagged(id) {
+    const sql = `SELECT tokens.id, tokens.token, COUNT(*)::int AS qty FROM strings JOIN tokens ON strings.token_id = tokens.id
+      WHERE strings.text_id = $1 AND strings.unit_id IS NULL AND tokens.meta = 'word' GROUP BY tokens.id ORDER BY reverse(tokens.token), tokens.token`;
     let data = [];
     try {
-      const result = await pool.query(sql);
+      const result = await pool.query(sql, [Number(id)]);
       data = result?.rows;
     } catch (err) {
       console.error(err);
     }
     return data;
   },
-  async getUntagged() {
-    const sql = 'SELECT * from tokens where meta is null or meta = \'\'';
-    let data = [];
+  // tags the string (single mode) or all the occurrences of its token in the text with the part of speech
+  // units are shared by the strings with the same token and part of speech, empty class removes the tag
+  async processToken(user, tid, cls, modeId, sid) {
+    const tokenId = Number(tid);
+    const stringId = Number(sid);
+    const pos = String(cls ?? '').trim();
+    const isSingle = Boolean(Number(modeId));
+    if (!tokenId || !stringId) {
+      return { error: 'wrong parameters' };
+    }
+    const client = await pool.connect();
+    let data = {};
     try {
-      const result = await pool.query(sql);
-      data = result?.rows;
-    } catch (err) {
-      console.error(err);
+      await client.query('BEGIN');
+      const [row] = (await client.query('SELECT text_id FROM strings WHERE id = $1 AND token_id = $2', [stringId, tokenId])).rows;
+      if (!row) {
+        throw new Error(`string ${stringId} does not contain token ${tokenId}`);
+      }
+      const textId = row.text_id;
+      const condition = isSingle ? 'strings.id = $1' : 'strings.text_id = $1 AND strings.token_id = $2';
+      const { before, after } = await tagStrings(client, tokenId, pos, condition, isSingle ? [stringId] : [textId, tokenId]);
+
+      const op = 'tag';
+      const change = await logChange(client, user, 'strings', stringId, { text_id: textId, op, strings: before }, { text_id: textId, op, strings: after });
+      await client.query('COMMIT');
+      data = {
+        id: after.find((x) => x.id === stringId)?.unit_id ?? null, pos: pos || null, strings: after.map((x) => x.id), change
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
     }
     return data;
   },
-  async processToken(user, tid, cls, modeId, uid, sid) {
-    console.log(`Strings ID ${sid} Token ID ${tid}, class ${cls}, single-mode ${modeId}, unit ${uid}`);
-    const tokenId = String(tid);
-    const wordClass = String(cls);
-    const mode = Number(modeId);
-    const unitId = Number(uid);
-    const sentenceId = Number(sid);
-    // // sqlitedb.run("UPDATE units SET pos = ? WHERE id = ?", [cls, id], function(err, row){
-    // sqlitedb.all("SELECT id, pos from units where token_id = ?",[id], (err, units) => {
-    // console.log("units", units);
-    // let unit_db_id = uid;
-    //     sqlitedb.run("UPDATE tokens SET meta = ? WHERE id = ?", [cls, id], function(err, row){
-    //         if (err){
-    //             console.err(err);
-    //             res.status(500);
-    //         }
-    //         else {
-    //             if (mode) {
-    //                 let newuid = 0;
-    //                 for (let i = 0; i<units.length; i++){
-    //                     if(units[i]["pos"]==cls){
-    //                         newuid = units[i]["id"]
-    //                     }
-    //                 }
-    //
-    //                 if(newuid) {
-    //                     console.log("DB:",newuid);
-    //                 }
-    //
-    //                 let sql = newuid ? "SELECT * from units where pos = ? AND token_id = ?":  "INSERT INTO units (pos, token_id) VALUES (?, ?)";
-    //                 console.log(sql);
-    //                 sqlitedb.run(sql, [cls, id], function(err, row){
-    //                     if (!newuid) {
-    //                         newuid  = this.lastID;
-    //                         console.log("last ID", this.lastID);
-    //                     }
-    //                     console.log("string", sid, newuid);
-    //                     if (sid){
-    //                         sqlitedb.run("UPDATE strings SET unit_id = ? WHERE id = ?", [newuid, sid], function(err, row){
-    //                             res.json({"id": newuid, "pos": cls, "sid": sid});
-    //                         });
-    //                     } else {
-    //                         res.status(500);
-    //                         res.end();
-    //                     }
-    //                 });
-    //             }
-    //             else {
-    //                 let sql = uid? 'UPDATE units SET pos = ? where id = ?' : "INSERT INTO units (pos, token_id) VALUES (?, ?)";
-    //                 sqlitedb.run(sql, [cls, uid], function(err, row){
-    //                     // console.log(sql);
-    //                     if (!uid) {
-    //                         uid  = this.lastID;
-    //                         console.log("last ID", this.lastID);
-    //                     }
-    //                     // console.log("set", uid, id);
-    //                     sqlitedb.run("UPDATE strings SET unit_id = ? WHERE token_id = ?", [uid, id], function(err, row){
-    //                         // sqlitedb.get("SELECT COUNT(*) as res from tokens where meta is null or meta = ''", (err, row) => {
-    //                         sqlitedb.all("SELECT token from tokens where meta is null or meta = ''", (err, row) => {
-    //                         // process the row here
-    //                         console.log(row);
-    //                         // const tagged = Math.round(100 - +row["res"]/(11084/100), 1);
-    //                             // console.log(`${tagged} % [${row["res"]}]`);
-    //                         });
-    //                         // res.status(202);
-    //                         res.json({"id": uid, "pos": cls});
-    //                     });
-    //                 });
-    //             }
-    //                               // if (uid) {
-    //                               // if (units.length < 2) {
-    //                                   // if (units.length){
-    //                                       // unit_db_id  = units[0]["id"];
-    //                                   // } else {
-    //                                   // }
-    //                                   // if (mode) {
-    //                                       // console.log("SERVER: single mode!");
-    //                                   // } else {
-    //                                   // console.log("set", unit_db_id);
-    //                                   // sqlitedb.run("UPDATE strings SET unit_id = ? WHERE token_id = ?", [unit_db_id, id], function(err, row){
-    //                                   // });
-    //                                   // }
-    //                               // } else {
-    //                                   // console.log("two variants! not processed!")
-    //                               // }
-    //         }
-    //                             // res.end();
-    //     });
-    // });
-
-    return {
-      tokenId, wordClass, mode, unitId, sentenceId
-    };
+  // tags the untagged occurrences of the tokens in the text, the ones tagged in single mode are kept
+  async tagTokens(user, id, tokens, cls) {
+    const textId = Number(id);
+    const tokenIds = (Array.isArray(tokens) ? tokens : []).map(Number).filter((x) => x);
+    const pos = String(cls ?? '').trim();
+    if (!textId || !tokenIds.length || !pos) {
+      return { error: 'wrong parameters' };
+    }
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const changes = [];
+      /* eslint-disable-next-line no-restricted-syntax */
+      for (const tokenId of tokenIds) {
+        const condition = 'strings.text_id = $1 AND strings.token_id = $2 AND strings.unit_id IS NULL';
+        /* eslint-disable-next-line no-await-in-loop */
+        changes.push(await tagStrings(client, tokenId, pos, condition, [textId, tokenId]));
+      }
+      const [before, after] = [changes.flatMap((x) => x.before), changes.flatMap((x) => x.after)];
+      if (!after.length) {
+        throw new Error('the tokens have no untagged occurrences in the text');
+      }
+      const op = 'tag';
+      const change = await logChange(client, user, 'strings', after[0].id, { text_id: textId, op, strings: before }, { text_id: textId, op, strings: after });
+      await client.query('COMMIT');
+      data = {
+        pos, tokens: tokenIds, strings: after.map((x) => x.id), change
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
   },
   async getTexts(id) {
     let sql = 'SELECT * from texts ';
@@ -552,8 +1050,8 @@ export default {
   async getText(id, withGrammar = false) {
     const textId = Number(id) || 1;
     // console.log("with grammar", withGrammar);
-    const sqlWithGrammar = 'select strings.id as id, strings.p, strings.s, strings.form, strings.repr, strings.fmt, tokens.id as tid, tokens.meta, units.id as uid, units.pos, strings.comments from strings left join tokens on strings.token_id = tokens.id left join units on strings.unit_id = units.id where text_id = $1 ORDER BY strings.id';
-    const sql = 'select strings.id as id, strings.p, strings.s, strings.form, strings.repr, strings.fmt, tokens.id as tid, tokens.meta, strings.comments from strings left join tokens on strings.token_id = tokens.id where text_id = $1 ORDER BY strings.id';
+    const sqlWithGrammar = 'select strings.id as id, strings.p, strings.s, strings.line, strings.ref, strings.speaker, strings.form, strings.raw, strings.repr, strings.fmt, strings.spaceafter, tokens.id as tid, tokens.token, tokens.meta, units.id as uid, units.pos, units.lemma, strings.comments from strings left join tokens on strings.token_id = tokens.id left join units on strings.unit_id = units.id where text_id = $1 ORDER BY strings.ord';
+    const sql = 'select strings.id as id, strings.p, strings.s, strings.line, strings.ref, strings.speaker, strings.form, strings.raw, strings.repr, strings.fmt, strings.spaceafter, tokens.id as tid, tokens.token, tokens.meta, strings.comments from strings left join tokens on strings.token_id = tokens.id where text_id = $1 ORDER BY strings.ord';
     let data = [];
     try {
       const result = await pool.query(withGrammar ? sqlWithGrammar : sql, [textId]);
@@ -583,7 +1081,7 @@ export default {
       let result = await pool.query(sql, [tagId]);
       comments = result?.rows?.length;
       if (!comments) {
-        result = await pool.query('DELETE FROM tags where id = $1', [id]);
+        result = await audit(user, 'tags', 'id', id, (client) => client.query('DELETE FROM tags where id = $1', [id]));
         if (result?.rowCount === 1) {
           success = true;
         }
@@ -602,7 +1100,7 @@ export default {
       let result = await pool.query(sql, [issueId]);
       comments = result?.rows?.length;
       if (!comments) {
-        result = await pool.query('DELETE FROM issues where id = $1', [id]);
+        result = await audit(user, 'issues', 'id', id, (client) => client.query('DELETE FROM issues where id = $1', [id]));
         if (result?.rowCount === 1) {
           success = true;
         }
@@ -628,7 +1126,7 @@ export default {
 
     let data = [];
     try {
-      const result = await pool.query(sql, values);
+      const result = await audit(user, 'issues', 'id', Number(issueId), (client) => client.query(sql, values));
       data = result?.rows?.[0];
     } catch (err) {
       console.error(err);
@@ -662,7 +1160,7 @@ export default {
 
     let data = [];
     try {
-      const result = await pool.query(sql, values);
+      const result = await audit(user, 'tags', 'id', Number(tagId), (client) => client.query(sql, values));
       data = result?.rows?.[0];
     } catch (err) {
       console.error(err);
@@ -672,9 +1170,14 @@ export default {
   async getComments(id) {
     const values = [id];
     // let sql = 'SELECT * from comments WHERE text_id = $1 ORDER BY id DESC';
-    const sql = `SELECT id, priority, issues, tags, title, published,
+    // notes is the number of unresolved threads, mentions are the users mentioned in them
+    const sql = `SELECT id, priority, issues, tags, title, published, state, assignee, reviewer,
      CASE WHEN id IN (SELECT unnest(comments) AS coms FROM strings WHERE comments::text <> '{}' group by coms)
-     THEN True else False END as bound
+     THEN True else False END as bound,
+     (SELECT count(*) FROM notes WHERE notes.comment_id = comments.id AND thread_id IS NULL AND NOT resolved)::int AS notes,
+     (SELECT array_agg(DISTINCT m) FROM notes n JOIN notes t ON t.id = COALESCE(n.thread_id, n.id) CROSS JOIN unnest(n.mentions) AS m
+       WHERE n.comment_id = comments.id AND NOT t.resolved) AS mentions,
+     ${sqlCommentRefs}
      FROM comments WHERE text_id = $1 ORDER by priority DESC, id DESC`;
     // if (id) {
     //    sql += ' WHERE id = $1';
@@ -686,7 +1189,7 @@ export default {
     let data = [];
     try {
       const result = await pool.query(sql, values);
-      data = result?.rows;
+      data = await citeComments(id, result?.rows);
     } catch (err) {
       console.error(err);
     }
@@ -694,7 +1197,7 @@ export default {
   },
   async getComment(id) {
     const values = [id];
-    const sql = 'SELECT * from comments WHERE id = $1';
+    const sql = `SELECT *, ${sqlCommentRefs} from comments WHERE id = $1`;
     // if (id) {
     //    sql += ' WHERE id = $1';
     //    values.push(id);
@@ -705,63 +1208,485 @@ export default {
     let data = [];
     try {
       const result = await pool.query(sql, values);
-      data = result?.rows;
+      data = await citeComments(result?.rows?.[0]?.text_id, result?.rows);
     } catch (err) {
       console.error(err);
     }
     return data;
   },
   async setComment(user, params) {
-    const tagsAsArray = `{${params?.tags?.length ? params.tags.join(',') : ''}}`;
-    const issuesAsArray = `{${params?.issues?.length ? params.issues.map((x) => `{${x.join(',')}}`).join(',') : ''}}`;
+    const [tagsAsArray, issuesAsArray] = formatCommentArrays(params);
     // console.log("issues", issuesAsArray);
     const textId = Number(params.text_id);
-    const values = [textId, params.title.trim(), params.published, params.entry, params.priority, tagsAsArray, issuesAsArray];
+    const entryError = await checkCommentEntry(textId, Number(params.id) || null, params.entry);
+    if (entryError) {
+      return { error: entryError };
+    }
+    const values = [textId, params.title.trim(), params.entry, params.priority, tagsAsArray, issuesAsArray, Number(params.assignee) || null, Number(params.reviewer) || null];
 
     let sql = '';
 
+    // the state is changed by the transitions of the workflow only
     if (params.id) {
       values.push(Number(params.id));
-      sql = `UPDATE comments SET text_id = $1, title = $2, published= $3, entry = $4, priority = $5, tags = $6, issues = $7
-      WHERE id = $8`;
+      sql = `UPDATE comments SET text_id = $1, title = $2, entry = $3, priority = $4, tags = $5, issues = $6, assignee = $7, reviewer = $8
+      WHERE id = $9`;
     } else {
-      sql = 'INSERT INTO comments (text_id, title, published, entry, priority, tags, issues) VALUES ($1, $2, $3, $4, $5, $6, $7)';
+      const state = workflow.initial(settings?.workflow);
+      values.push(state, workflow.isFinal(settings?.workflow, state));
+      sql = `INSERT INTO comments (text_id, title, entry, priority, tags, issues, assignee, reviewer, state, published)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`;
     }
     sql += ' RETURNING id';
 
     let data = {};
+    const client = await pool.connect();
     try {
+      await client.query('BEGIN');
       let previousCommentObject = {};
       if (params.id) {
-        const selection = await pool.query('SELECT * FROM comments WHERE id = $1', [Number(params.id)]);
+        const selection = await client.query('SELECT * FROM comments WHERE id = $1', [Number(params.id)]);
         const commentObject = selection.rows[0];
         previousCommentObject = cleanCommentObject(commentObject);
       }
 
-      // console.log("pre", JSON.stringify(previousCommentObject));
-      const newCommentObject = cleanCommentObject(params);
-      // console.log("now", JSON.stringify(newCommentObject));
-
-      try {
-        await pool.query('BEGIN');
-        try {
-          const result = await pool.query(sql, values);
-          data = result?.rows?.[0];
-          const resultId = data.id;
-          const logQuery = 'INSERT INTO logs (user_id, table_name, record_id, data0, data1) VALUES($1, $2, $3, $4, $5) RETURNING id';
-          const table = 'comments';
-          // enum types! - alter table logs
-          const logValues = [user.id, table, resultId, previousCommentObject, newCommentObject];
-          const logResult = await pool.query(logQuery, logValues);
-          data.change = logResult?.rows?.[0]?.id;
-          await pool.query('COMMIT');
-        } catch (error) {
-          await pool.query('ROLLBACK');
-          return { error };
+      const result = await client.query(sql, values);
+      data = result?.rows?.[0];
+      const newCommentObject = cleanCommentObject((await client.query('SELECT * FROM comments WHERE id = $1', [data.id])).rows[0]);
+      data.change = await logChange(client, user, 'comments', data.id, previousCommentObject, newCommentObject);
+      data.state = newCommentObject.state;
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      return { error };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  // restores the comment to the state before (version 0) or after (version 1) the logged change
+  // the comment is recreated with the same id if it was deleted, the revert is logged as a new change
+  async revertComment(user, changeId, version = 1) {
+    const logId = Number(changeId);
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const [change] = (await client.query("SELECT * FROM logs WHERE id = $1 AND table_name = 'comments'", [logId])).rows;
+      if (!change) {
+        throw new Error(`change ${logId} does not exist or is not a comment change`);
+      }
+      const state = Number(version) ? change.data1 : change.data0;
+      if (!state?.title) {
+        throw new Error(`the comment did not exist ${Number(version) ? 'after' : 'before'} the change`);
+      }
+      const { revert, ...comment } = state;
+      const [current] = (await client.query('SELECT * FROM comments WHERE id = $1 FOR UPDATE', [change.record_id])).rows;
+      const [tagsAsArray, issuesAsArray] = formatCommentArrays(comment);
+      // the changes logged before the workflow know only whether the comment was published
+      const commentState = comment.state ?? (comment.published ? workflow.finals(settings?.workflow)[0] : workflow.initial(settings?.workflow));
+      const values = [change.record_id, comment.text_id, comment.title, workflow.isFinal(settings?.workflow, commentState), comment.entry,
+        comment.priority, tagsAsArray, issuesAsArray, commentState, comment.assignee ?? null, comment.reviewer ?? null];
+      const sql = current
+        ? `UPDATE comments SET text_id = $2, title = $3, published = $4, entry = $5, priority = $6, tags = $7, issues = $8,
+          state = $9, assignee = $10, reviewer = $11 WHERE id = $1`
+        : `INSERT INTO comments (id, text_id, title, published, entry, priority, tags, issues, state, assignee, reviewer)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`;
+      await client.query(sql, values);
+      const previous = current ? cleanCommentObject(current) : {};
+      const [restored] = (await client.query('SELECT * FROM comments WHERE id = $1', [change.record_id])).rows;
+      const revertId = await logChange(client, user, 'comments', change.record_id, previous, { ...cleanCommentObject(restored), revert: logId });
+      await client.query('COMMIT');
+      data = { id: change.record_id, change: revertId };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  // the deleted comment is kept in the log to make it revertible
+  async deleteComment(user, id) {
+    const commentId = Number(id);
+    const client = await pool.connect();
+    let data = [];
+    try {
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM comments WHERE id = $1 RETURNING *', [commentId]);
+      const [comment] = result.rows;
+      if (comment) {
+        await logChange(client, user, 'comments', commentId, cleanCommentObject(comment), {});
+      }
+      await client.query('COMMIT');
+      data = result.rows.map((x) => ({ id: x.id }));
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  // moves the comment to another state of the workflow, if the transition is allowed to the user
+  async setCommentState(user, id, state) {
+    const commentId = Number(id);
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const [current] = (await client.query('SELECT * FROM comments WHERE id = $1 FOR UPDATE', [commentId])).rows;
+      if (!current) {
+        throw new Error(`comment ${commentId} does not exist`);
+      }
+      if (!workflow.targets(settings?.workflow, current.state, user.privs).includes(state)) {
+        throw new Error(`the comment cannot be moved from '${current.state}' to '${state}'`);
+      }
+      const sql = 'UPDATE comments SET state = $2, published = $3 WHERE id = $1 RETURNING *';
+      const [updated] = (await client.query(sql, [commentId, state, workflow.isFinal(settings?.workflow, state)])).rows;
+      const change = await logChange(client, user, 'comments', commentId, cleanCommentObject(current), cleanCommentObject(updated));
+      await client.query('COMMIT');
+      data = {
+        id: commentId, state, published: updated.published, change
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  async getNotes(commentId) {
+    const sql = 'SELECT * FROM notes WHERE comment_id = $1 ORDER BY id';
+    let data = [];
+    try {
+      const result = await pool.query(sql, [Number(commentId)]);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // a note starts a thread or replies to it, @username mentions the user
+  // a thread can be started for the issue of the comment, i.e. the pair of the issue and the user assigned to it
+  async addNote(user, params) {
+    const content = String(params?.content ?? '').trim();
+    const commentId = Number(params?.comment);
+    const threadId = Number(params?.thread) || null;
+    let data = {};
+    try {
+      if (!content) {
+        throw new Error('the note is empty');
+      }
+      const [comment] = (await pool.query('SELECT id, text_id FROM comments WHERE id = $1', [commentId])).rows;
+      if (!comment) {
+        throw new Error(`comment ${commentId} does not exist`);
+      }
+      if (threadId) {
+        const [thread] = (await pool.query('SELECT id FROM notes WHERE id = $1 AND comment_id = $2 AND thread_id IS NULL', [threadId, commentId])).rows;
+        if (!thread) {
+          throw new Error(`thread ${threadId} does not exist`);
         }
-      } catch (error) {
-        return { error };
       }
+      const usernames = [...new Set([...content.matchAll(/@([\w.-]+)/g)].map((x) => x[1]))];
+      const mentioned = usernames.length ? (await pool.query('SELECT id FROM users WHERE username = ANY($1::text[])', [usernames])).rows : [];
+      const issue = threadId ? null : Number(params?.issue) || null;
+      const sql = `INSERT INTO notes (comment_id, text_id, thread_id, user_id, content, mentions, issue)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`;
+      const values = [commentId, comment.text_id, threadId, user.id, content, mentioned.map((x) => x.id), issue];
+      const result = await audit(user, 'notes', 'id', undefined, (client) => client.query(sql, values));
+      [data] = result.rows;
+    } catch (error) {
+      console.error(error);
+      data = { error: error.message };
+    }
+    return data;
+  },
+  async resolveNote(user, id, resolved) {
+    const noteId = Number(id);
+    const sql = 'UPDATE notes SET resolved = $2, resolved_by = $3 WHERE id = $1 AND thread_id IS NULL RETURNING *';
+    let data = {};
+    try {
+      const values = [noteId, Boolean(resolved), resolved ? user.id : null];
+      const result = await audit(user, 'notes', 'id', noteId, async (client) => {
+        const updated = await client.query(sql, values);
+        if (!updated.rowCount) {
+          throw new Error('only threads can be resolved');
+        }
+        return updated;
+      });
+      [data] = result.rows;
+    } catch (error) {
+      console.error(error);
+      data = { error: error.message };
+    }
+    return data;
+  },
+  // the note can be deleted by its author or administrator, the thread only without replies
+  async deleteNote(user, id) {
+    const noteId = Number(id);
+    const sql = `DELETE FROM notes WHERE id = $1 AND (user_id = $2 OR $3)
+      AND NOT EXISTS (SELECT 1 FROM notes AS replies WHERE replies.thread_id = $1) RETURNING id`;
+    let data = [];
+    try {
+      const result = await audit(user, 'notes', 'id', noteId, async (client) => {
+        const deleted = await client.query(sql, [noteId, user.id, user.privs === 1]);
+        if (!deleted.rowCount) {
+          throw new Error('the note cannot be deleted');
+        }
+        return deleted;
+      });
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async getWitnesses(textId) {
+    const sql = `SELECT id, text_id, siglum, title, description, format, aligned, length(content) AS size,
+      (SELECT count(*)::int FROM readings WHERE readings.witness_id = witnesses.id) AS readings
+      FROM witnesses WHERE text_id = $1 ORDER BY siglum`;
+    let data = [];
+    try {
+      const result = await pool.query(sql, [Number(textId)]);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async getWitness(id) {
+    let data;
+    try {
+      const result = await pool.query('SELECT * FROM witnesses WHERE id = $1', [Number(id)]);
+      [data] = result.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async setWitness(user, params) {
+    const id = Number(params?.id);
+    const siglum = String(params?.siglum ?? '').trim();
+    const values = [siglum, params?.title || null, params?.description || null];
+    let data = {};
+    try {
+      if (!siglum) {
+        throw new Error('the siglum is empty');
+      }
+      const result = id
+        ? await audit(user, 'witnesses', 'id', id, (client) => client.query('UPDATE witnesses SET siglum = $1, title = $2, description = $3 WHERE id = $4 RETURNING id', [...values, id]))
+        : await audit(user, 'witnesses', 'id', undefined, (client) => client.query('INSERT INTO witnesses (siglum, title, description, text_id) VALUES ($1, $2, $3, $4) RETURNING id', [...values, Number(params?.text_id)]));
+      data = result?.rows?.[0] || {};
+    } catch (error) {
+      console.error(error);
+      data = { error: error.code === '23505' ? 'the siglum is already used' : error.message };
+    }
+    return data;
+  },
+  // the readings are not logged one by one, the witness can be collated again
+  async deleteWitness(user, id) {
+    const witnessId = Number(id);
+    let data = [];
+    try {
+      const result = await audit(user, 'witnesses', 'id', witnessId, async (client) => {
+        await client.query('DELETE FROM readings WHERE witness_id = $1', [witnessId]);
+        return client.query('DELETE FROM witnesses WHERE id = $1 RETURNING id', [witnessId]);
+      });
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // the base text of the apparatus, or the readings of one witness only
+  async getReadings(textId, witnessId) {
+    let data = [];
+    try {
+      const result = await pool.query(sqlSelectReadings, [Number(textId), Number(witnessId) || null]);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // replaces the content of the witness with its words and its readings, the collation is logged as a whole
+  async setWitnessReadings(user, id, content, format, readings, words) {
+    const witnessId = Number(id);
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const [witness] = (await client.query('SELECT id, text_id FROM witnesses WHERE id = $1', [witnessId])).rows;
+      if (!witness) {
+        throw new Error(`witness ${witnessId} does not exist`);
+      }
+      await client.query('UPDATE witnesses SET content = $2, format = $3, words = $4 WHERE id = $1', [witnessId, content, format, JSON.stringify(words ?? null)]);
+      await replaceReadings(client, user, witness, readings);
+      await client.query('COMMIT');
+      data = { id: witnessId, readings: readings.length };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  async setReadingNote(user, id, note) {
+    const readingId = Number(id);
+    const sql = 'UPDATE readings SET note = $2 WHERE id = $1 RETURNING *';
+    let data = {};
+    try {
+      const result = await audit(user, 'readings', 'id', readingId, (client) => client.query(sql, [readingId, String(note ?? '').trim() || null]));
+      data = result?.rows?.[0] || {};
+    } catch (error) {
+      console.error(error);
+      data = { error: error.message };
+    }
+    return data;
+  },
+  // the pairs where the text is either the original or the translation
+  async getParallels(textId) {
+    const sql = `SELECT parallels.*, originals.author AS text_author, originals.title AS text_title, originals.lang AS text_lang,
+      translations.author AS translation_author, translations.title AS translation_title, translations.lang AS translation_lang,
+      (SELECT json_object_agg(level, total) FROM (SELECT level, count(*)::int AS total FROM segments
+        WHERE segments.parallel_id = parallels.id GROUP BY level) AS levels) AS segments
+      FROM parallels JOIN texts AS originals ON parallels.text_id = originals.id
+      JOIN texts AS translations ON parallels.translation_id = translations.id
+      WHERE $1 IN (parallels.text_id, parallels.translation_id) ORDER BY parallels.id`;
+    let data = [];
+    try {
+      const result = await pool.query(sql, [Number(textId)]);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async getParallel(id) {
+    let data;
+    try {
+      const result = await pool.query('SELECT * FROM parallels WHERE id = $1', [Number(id)]);
+      [data] = result.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async setParallel(user, params) {
+    const id = Number(params?.id);
+    const [textId, translationId] = [Number(params?.text_id), Number(params?.translation_id)];
+    let data = {};
+    try {
+      let result;
+      if (id) {
+        const sql = 'UPDATE parallels SET bilingual = $2 WHERE id = $1 RETURNING id';
+        result = await audit(user, 'parallels', 'id', id, (client) => client.query(sql, [id, Boolean(params?.bilingual)]));
+      } else {
+        if (!textId || !translationId || textId === translationId) {
+          throw new Error('the translation should be another text');
+        }
+        const sql = 'INSERT INTO parallels (text_id, translation_id, bilingual) VALUES ($1, $2, $3) RETURNING id';
+        result = await audit(user, 'parallels', 'id', undefined, (client) => client.query(sql, [textId, translationId, Boolean(params?.bilingual)]));
+      }
+      data = result?.rows?.[0] || {};
+    } catch (error) {
+      console.error(error);
+      data = { error: error.code === '23505' ? 'the texts are already paired' : error.message };
+    }
+    return data;
+  },
+  // the segments are not logged one by one, the pair can be aligned again
+  async deleteParallel(user, id) {
+    const parallelId = Number(id);
+    let data = [];
+    try {
+      const result = await audit(user, 'parallels', 'id', parallelId, async (client) => {
+        await client.query('DELETE FROM segments WHERE parallel_id = $1', [parallelId]);
+        return client.query('DELETE FROM parallels WHERE id = $1 RETURNING id', [parallelId]);
+      });
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async getSegments(id, level) {
+    const sql = 'SELECT * FROM segments WHERE parallel_id = $1 AND ($2::text IS NULL OR level = $2) ORDER BY id';
+    let data = [];
+    try {
+      const result = await pool.query(sql, [Number(id), level || null]);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // replaces the segments of the level, the alignment is logged as a whole
+  async setSegments(user, id, level, segments) {
+    const parallelId = Number(id);
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const [parallel] = (await client.query('SELECT * FROM parallels WHERE id = $1', [parallelId])).rows;
+      if (!parallel) {
+        throw new Error(`pair ${parallelId} does not exist`);
+      }
+      const before = (await client.query('DELETE FROM segments WHERE parallel_id = $1 AND level = $2', [parallelId, level])).rowCount;
+      await client.query(`INSERT INTO segments (parallel_id, level, source, target, manual)
+        SELECT $1, $2, x.source, x.target, x.manual FROM json_to_recordset($3)
+        AS x(source INTEGER[], target INTEGER[], manual BOOLEAN, position INTEGER) ORDER BY x.position`, [parallelId, level, JSON.stringify(segments.map((x, i) => ({ ...x, position: i })))]);
+      const op = 'align';
+      const textId = parallel.text_id;
+      await logChange(client, user, 'parallels', parallelId, {
+        text_id: textId, op, level, segments: before
+      }, {
+        text_id: textId, op, level, segments: segments.length
+      });
+      await client.query('COMMIT');
+      data = { id: parallelId, level, segments: segments.length };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  // the links of the tokens follow the strings replaced or removed by the import, see remapTokenSegments
+  async remapTokenSegments(user, id, mapping, dryRun) {
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      data = await remapTokenSegments(client, user, Number(id), mapping, dryRun);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  // paragraphs or sentences of the text with their lengths in characters, the sentences know their paragraphs
+  async getTextUnits(textId, level) {
+    const unit = level === 'p' ? 'p' : 's';
+    const sql = `SELECT ${unit} AS unit, min(p) AS p, sum(length(form) + 1)::int AS length FROM strings
+      WHERE text_id = $1 GROUP BY ${unit} ORDER BY min(ord)`;
+    let data = [];
+    try {
+      const result = await pool.query(sql, [Number(textId)]);
+      data = result?.rows;
     } catch (err) {
       console.error(err);
     }
@@ -780,20 +1705,125 @@ export default {
   },
   async getCommentsTitles(id, chunk) {
     const textId = Number(id) || 1;
-    const checkedChunk = String(chunk).replace(/[^0-9А-Яа-яЎІЁўіёA-Za-z*-]/g, '');
+    const checkedChunk = String(chunk).replace(/[^\p{L}\p{N}*-]/gu, '');
     // console.log(`${chunk}|${checkedChunk}|`);
     if (!checkedChunk) {
       return [];
     }
-    // console.log(`|${checkedChunk}|`);
-    const values = [textId, `%${checkedChunk}%`, `${checkedChunk}%`];
-    const sql = 'SELECT id, priority, title from comments where text_id = $1 and (title ilike $2 OR priority::text like $3) LIMIT 10';
-    let data = [];
+    // console.log(`|${checkedChunk}|`);
+    const values = [textId, `%${checkedChunk}%`, `${checkedChunk}%`];
+    const sql = 'SELECT id, priority, title from comments where text_id = $1 and (title ilike $2 OR priority::text like $3) LIMIT 10';
+    let data = [];
+    try {
+      const result = await pool.query(sql, values);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // ranked hits in the comments (title and every field of the entry), the sentences of the text and the sources
+  // the filters by tag, issue, published and workflow state are applied to the comments
+  async search(params) {
+    const textId = Number(params?.id);
+    const query = String(params?.q ?? '').trim();
+    let data = { comments: [], strings: [], sources: [] };
+    if (!textId || !query) {
+      return data;
+    }
+    try {
+      const [text] = (await pool.query('SELECT lang FROM texts WHERE id = $1', [textId])).rows;
+      const config = search.getConfig(text?.lang, searchConfigs);
+      const values = [textId, config, query, search.headline];
+      const filters = [];
+      const addFilter = (condition, value) => {
+        values.push(value);
+        filters.push(` AND ${condition.replace('?', `$${values.length}`)}`);
+      };
+      if (Number(params.tag)) {
+        addFilter('? = ANY(c.tags)', Number(params.tag));
+      }
+      if (Number(params.issue)) {
+        addFilter('? = ANY(c.issues[:][1:1])', Number(params.issue));
+      }
+      if (['true', 'false'].includes(String(params.published))) {
+        addFilter('c.published = ?', String(params.published) === 'true');
+      }
+      if (params.state) {
+        addFilter('c.state = ?', String(params.state));
+      }
+      const sqlComments = `SELECT c.id, c.priority, c.title, c.tags, c.issues, c.published, c.state,
+        ts_rank(vector, tsquery) AS rank, ts_headline($2::regconfig, concat_ws(' ', c.title, e.body), tsquery, $4) AS snippet
+        FROM comments c
+        CROSS JOIN LATERAL (${sqlEntryText}) AS e
+        CROSS JOIN websearch_to_tsquery($2::regconfig, $3) AS tsquery
+        CROSS JOIN LATERAL (SELECT setweight(to_tsvector($2::regconfig, c.title), 'A') || to_tsvector($2::regconfig, COALESCE(e.body, ''))) AS v(vector)
+        WHERE c.text_id = $1 AND vector @@ tsquery${filters.join('')}
+        ORDER BY rank DESC, c.priority LIMIT 100`;
+      // the tokens are the strings of the sentence matching the query, to highlight them in the text
+      const sqlStrings = `SELECT g.id, g.p, g.s, ts_rank(vector, tsquery) AS rank, ts_headline($2::regconfig, g.sentence, tsquery, $4) AS snippet,
+        (SELECT array_agg(id ORDER BY ord) FROM strings WHERE text_id = $1 AND p = g.p AND s = g.s AND to_tsvector($2::regconfig, form) @@ tsquery) AS tokens
+        FROM (SELECT p, s, (array_agg(id ORDER BY ord))[1] AS id, min(ord) AS ord, string_agg(form, ' ' ORDER BY ord) AS sentence FROM strings
+          WHERE text_id = $1 AND form IS NOT NULL GROUP BY p, s) AS g
+        CROSS JOIN websearch_to_tsquery($2::regconfig, $3) AS tsquery
+        CROSS JOIN LATERAL to_tsvector($2::regconfig, g.sentence) AS vector
+        WHERE vector @@ tsquery
+        ORDER BY rank DESC, g.ord LIMIT 100`;
+      const sqlSources = `SELECT s.id, s.citekey, s.bibtex, ts_rank(vector, tsquery) AS rank, ts_headline($1::regconfig, d.doc, tsquery, $3) AS snippet
+        FROM sources s
+        CROSS JOIN LATERAL (SELECT concat_ws(' ', s.citekey, string_agg(x #>> '{}', ' ')) AS doc
+          FROM jsonb_path_query(s.bibtex, 'strict $.** ? (@.type() == "string")') AS x) AS d
+        CROSS JOIN websearch_to_tsquery($1::regconfig, $2) AS tsquery
+        CROSS JOIN LATERAL to_tsvector($1::regconfig, d.doc) AS vector
+        WHERE vector @@ tsquery
+        ORDER BY rank DESC LIMIT 100`;
+      const [comments, strings, sources] = await Promise.all([
+        pool.query(sqlComments, values),
+        pool.query(sqlStrings, values.slice(0, 4)),
+        pool.query(sqlSources, values.slice(1, 4)),
+      ]);
+      data = {
+        config, comments: comments.rows, strings: strings.rows, sources: sources.rows
+      };
+    } catch (err) {
+      console.error(err);
+      data.error = err.message;
+    }
+    return data;
+  },
+  // keyword in context: the occurrences of the form, representation, token, lemma or regular expression (matched against the form)
+  // the context is the window of strings on each side, within the text
+  async getConcordance(params) {
+    const textId = Number(params?.id);
+    const query = String(params?.query ?? '').trim();
+    const window = Math.min(Math.max(Number(params?.window) || 5, 1), 50);
+    const conditions = {
+      form: 'lower(s.form) = lower($2)',
+      repr: 'lower(s.repr) = lower($2)',
+      token: 's.token_id = $2::int',
+      lemma: 'lower(u.lemma) = lower($2)',
+      regex: 's.form ~* $2',
+    };
+    const condition = conditions[params?.mode] || conditions.form;
+    let data = { hits: [], total: 0 };
+    if (!textId || !query) {
+      return data;
+    }
+    const sqlContext = (range) => `(SELECT json_agg(json_build_object('id', c.id, 'form', c.form, 'meta', ct.meta, 'spaceafter', c.spaceafter) ORDER BY c.ord)
+      FROM strings c LEFT JOIN tokens ct ON c.token_id = ct.id WHERE c.text_id = $1 AND c.ord ${range})`;
+    const sql = `SELECT h.id, h.p, h.s, h.form, h.comments, h.total,
+      ${sqlContext('BETWEEN h.ord - $3 AND h.ord - 1')} AS left_context,
+      ${sqlContext('BETWEEN h.ord + 1 AND h.ord + $3')} AS right_context
+      FROM (SELECT s.id, s.ord, s.p, s.s, s.form, s.comments, count(*) OVER ()::int AS total
+        FROM strings s LEFT JOIN units u ON s.unit_id = u.id
+        WHERE s.text_id = $1 AND ${condition} ORDER BY s.ord LIMIT 1000) AS h
+      ORDER BY h.ord`;
     try {
-      const result = await pool.query(sql, values);
-      data = result?.rows;
+      const result = await pool.query(sql, [textId, query, window]);
+      data = { hits: result.rows, total: result.rows[0]?.total || 0 };
     } catch (err) {
       console.error(err);
+      data.error = err.message;
     }
     return data;
   },
@@ -805,9 +1835,11 @@ export default {
       // console.log("comment", comment_id, "tokens", stringTokenIds);
       try {
         const sql1 = 'UPDATE strings SET comments = array_remove(comments, $1) WHERE id = ANY($2::int[]) RETURNING id'; // to avoid duplicates
-        await pool.query(sql1, [commentId, stringTokenIds]);
         const sql2 = 'UPDATE strings SET comments = array_append(comments, $1) WHERE id = ANY($2::int[]) RETURNING id';
-        const result = await pool.query(sql2, [commentId, stringTokenIds]);
+        const result = await auditStrings(user, 'bind', stringTokenIds, async (client) => {
+          await client.query(sql1, [commentId, stringTokenIds]);
+          return client.query(sql2, [commentId, stringTokenIds]);
+        });
         data = result?.rows;
       } catch (err) {
         console.error(err);
@@ -822,7 +1854,7 @@ export default {
     if (commentId && stringTokenIds?.length) {
       try {
         const sql = 'UPDATE strings SET comments = array_remove(comments, $1) WHERE id = ANY($2::int[]) RETURNING id';
-        const result = await pool.query(sql, [commentId, stringTokenIds]);
+        const result = await auditStrings(user, 'unbind', stringTokenIds, (client) => client.query(sql, [commentId, stringTokenIds]));
         data = result?.rows;
       } catch (err) {
         console.error(err);
@@ -838,12 +1870,15 @@ export default {
       if (range?.length) {
         try {
           const values = [range.shift()];
-          let sql = 'SELECT strings.*, tokens.meta FROM strings LEFT JOIN tokens ON strings.token_id = tokens.id where strings.id ';
+          let sql = 'SELECT strings.*, tokens.meta FROM strings LEFT JOIN tokens ON strings.token_id = tokens.id where ';
           if (range.length) {
+            // the strings between the first and the last ones in the order of the text
             values.push(range.pop());
-            sql += 'BETWEEN $1 AND $2';
+            sql += `strings.text_id = (SELECT text_id FROM strings WHERE id = $1)
+              AND strings.ord BETWEEN (SELECT min(ord) FROM strings WHERE id IN ($1, $2)) AND (SELECT max(ord) FROM strings WHERE id IN ($1, $2))
+              ORDER BY strings.ord`;
           } else {
-            sql += '=$1';
+            sql += 'strings.id = $1';
           }
           const result = await pool.query(sql, values);
           data = result?.rows;
@@ -877,7 +1912,7 @@ export default {
       // console.log("comment", comment_id, "tokens", stringTokenIds);
       try {
         const sql = 'UPDATE strings SET comments = $2 WHERE id = $1 RETURNING id';
-        const result = await pool.query(sql, [tokenId, commentIdsAsArray]);
+        const result = await auditStrings(user, 'bind', [tokenId], (client) => client.query(sql, [tokenId, commentIdsAsArray]));
         data = result?.rows?.[0];
       } catch (err) {
         console.error(err);
@@ -887,7 +1922,7 @@ export default {
   },
   async getBoundStringsForComment(params) {
     const { id: textId, comment: commentId } = params;
-    const sql = 'SELECT strings.*, tokens.meta FROM strings LEFT JOIN tokens ON strings.token_id = tokens.id WHERE text_id = $1 AND $2 = ANY (comments::int[]) ORDER BY id';
+    const sql = 'SELECT strings.*, tokens.meta FROM strings LEFT JOIN tokens ON strings.token_id = tokens.id WHERE text_id = $1 AND $2 = ANY (comments::int[]) ORDER BY ord';
     let data = [];
     if (textId) {
       try {
@@ -905,7 +1940,7 @@ export default {
     if (userId && currentUser.privs === 1) {
       try {
         const sql = 'UPDATE users SET activated = $2 WHERE id = $1 RETURNING id';
-        const result = await pool.query(sql, [userId, status]);
+        const result = await audit(currentUser, 'users', 'id', userId, (client) => client.query(sql, [userId, status]));
         data = result?.rows?.[0];
       } catch (err) {
         console.error(err);
@@ -935,111 +1970,25 @@ export default {
     return data;
   },
   async deleteById(currentUser, table, id, limits = {}) {
-    console.log(`DELETE from ${table} with ${id} by ${currentUser.id} (${currentUser.username})`);
     let data = [];
     try {
       const sqlLimit = Object.entries(limits).map((x) => `AND ${x[0]} = ${x[1]}`).join(' ');
       const sql = `DELETE FROM ${table} WHERE id = $1 ${sqlLimit} RETURNING id`;
       // console.log(sql);
-      const result = await pool.query(sql, [id]);
+      const result = await audit(currentUser, table, 'id', id, (client) => client.query(sql, [id]));
       data = result?.rows;
     } catch (err) {
       console.error(err);
     }
     return data;
   },
-  async getGrammar() {
-    // stub till UI will be implemented
-    return {
-      ip: {
-        color: 'lightgray',
-      },
-      vb: {
-        color: '#32b643',
-        font: '#FFFFFF',
-      },
-      aj: {
-        color: '#e85600',
-        font: '#FFFFFF',
-      },
-      pp: {
-        color: '#85144b',
-        font: '#FFFFFF',
-      },
-      av: {
-        color: '#f801ff',
-        font: '#FFFFFF',
-      },
-      nm: {
-        color: 'lightblue',
-        font: 'black',
-      },
-      nb: {
-        color: '#b66935',
-        font: 'black',
-      },
-      nn: {
-        color: '#5f4bb5',
-        font: '#FFFFFF',
-      },
-      np: {
-        color: '#6948f6',
-        font: 'orange',
-      },
-      va: {
-        color: '#ffb700',
-        font: '#FFFFFF',
-      },
-      pn: {
-        color: 'navy',
-        font: '#FFFFFF',
-      },
-      nw: {
-        color: 'black',
-        font: 'yellow',
-      },
-      vi: {
-        color: '#afe31b',
-        font: 'red',
-      },
-      vg: {
-        color: '#0da6ca',
-        font: 'lightyellow',
-      },
-      part: {
-        color: 'pink',
-        font: 'red',
-      },
-      det: {
-        color: '#00ff00',
-        font: 'navy',
-      },
-      aux: {
-        color: 'silver',
-        font: 'navy',
-      },
-      prad: {
-        color: '#d61f1f',
-        font: 'white',
-      },
-      dm: {
-        color: 'cyan',
-        font: 'gray',
-      },
-      mod: {
-        color: 'cyan',
-        font: 'red',
-      },
-      cj: {
-        color: 'yellow',
-        font: 'gray',
-      },
-      intj: {
-        color: '#065535',
-        font: 'white',
-      },
-    };
+  // the tags of the text tagset keyed by tag, to colour the strings in Grammar mode
+  async getGrammar(textId) {
+    const tags = await this.getTextTagset(textId);
+    return Object.fromEntries(tags.map(({ tag, ...rest }) => [tag, rest]));
   },
+
+  // the current text of the user is a preference, it is not logged
   async selectText(user, text) {
     const userId = Number(user.id);
     const textId = Number(text);
@@ -1060,21 +2009,21 @@ export default {
   async setTextProps(user, params) {
     let data = [];
     if (params.author && params.title) {
-      const values = [params.author, params.title, params?.meta || '', params?.comments || false, params?.site || '', params?.credits || '', params.lang, params?.url?.trim() || '', params.siteclass, params.creditsclass, params.colormark, params.colorselect];
+      const values = [params.author, params.title, params?.meta || '', params?.comments || false, params?.site || '', params?.credits || '', params.lang, params?.url?.trim() || '', params.siteclass, params.creditsclass, params.colormark, params.colorselect, Boolean(params?.grammar), Number(params?.tagset_id) || null];
       let sql = '';
 
       if (params.id) {
         const id = Number(params.id);
         values.push(id);
-        sql = 'UPDATE texts SET author = $1, title = $2, meta = $3, comments = $4, site = $5, credits = $6, lang = $7, url = $8, siteclass = $9, creditsclass = $10, colormark = $11, colorselect = $12 WHERE id = $13';
+        sql = 'UPDATE texts SET author = $1, title = $2, meta = $3, comments = $4, site = $5, credits = $6, lang = $7, url = $8, siteclass = $9, creditsclass = $10, colormark = $11, colorselect = $12, grammar = $13, tagset_id = $14 WHERE id = $15';
       } else {
-        sql = 'INSERT INTO texts (author, title, meta, comments, site, credits, lang, url, siteclass, creditsclass, colormark, colorselect) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)';
+        sql = 'INSERT INTO texts (author, title, meta, comments, site, credits, lang, url, siteclass, creditsclass, colormark, colorselect, grammar, tagset_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)';
       }
 
       sql += ' RETURNING id';
 
       try {
-        const result = await pool.query(sql, values);
+        const result = await audit(user, 'texts', 'id', Number(params.id), (client) => client.query(sql, values));
         data = result?.rows?.[0];
       } catch (err) {
         console.error(err);
@@ -1084,12 +2033,96 @@ export default {
     }
     return data;
   },
+  // the new version of the scheme, the entries of the comments are migrated in the same transaction and logged one by one
   async setScheme(user, params) {
+    const migrations = params.migrations || [];
+    const error = fields.validate(params.scheme) || fields.validateMigrations(params.scheme, migrations);
+    if (error) {
+      return { error };
+    }
     let data = {};
     if (params.id && params.scheme) {
       try {
+        const textId = Number(params.id);
+        const scheme = sanitizeScheme(params.scheme);
         const sql = 'UPDATE texts SET scheme = $2 WHERE id = $1 RETURNING id';
-        const result = await pool.query(sql, [params.id, JSON.stringify(params.scheme)]);
+        const result = await audit(user, 'texts', 'id', textId, async (client) => {
+          const plan = await planSchemeMigration(client, textId, scheme, migrations, true);
+          const blocked = describeSchemeMigration(plan);
+          if (blocked) {
+            throw new Error(blocked);
+          }
+          /* eslint-disable no-await-in-loop, no-restricted-syntax */
+          for (const { row, entry } of plan.changed) {
+            const updated = (await client.query('UPDATE comments SET entry = $2 WHERE id = $1 RETURNING *', [row.id, JSON.stringify(entry)])).rows[0];
+            await logChange(client, user, 'comments', row.id, cleanCommentObject(row), cleanCommentObject(updated));
+          }
+          /* eslint-enable no-await-in-loop, no-restricted-syntax */
+          const [{ version }] = (await client.query('SELECT max(version) AS version FROM schemes WHERE text_id = $1', [textId])).rows;
+          const sqlVersion = 'INSERT INTO schemes (text_id, version, scheme, migrations, comments, user_id) VALUES($1, $2, $3, $4, $5, $6)';
+          if (!version && plan.previous?.length) {
+            await client.query(sqlVersion, [textId, 1, JSON.stringify(plan.previous), null, 0, null]);
+          }
+          const next = (version || (plan.previous?.length ? 1 : 0)) + 1;
+          await client.query(sqlVersion, [textId, next, JSON.stringify(scheme), JSON.stringify(migrations), plan.changed.length, user?.id ?? null]);
+          const { rows } = await client.query(sql, [textId, JSON.stringify(scheme)]);
+          return { rows, version: next, comments: plan.changed.length };
+        });
+        data = { ...result.rows[0], version: result.version, comments: result.comments };
+      } catch (err) {
+        console.error(err);
+        data = { error: err.message };
+      }
+    }
+    return data;
+  },
+  // the comments affected by the change of the scheme, nothing is written
+  async previewScheme(params) {
+    const migrations = params.migrations || [];
+    const error = fields.validate(params.scheme) || fields.validateMigrations(params.scheme, migrations);
+    if (error) {
+      return { error };
+    }
+    let data = {};
+    try {
+      const plan = await planSchemeMigration(pool, Number(params.id), sanitizeScheme(params.scheme), migrations);
+      data = {
+        total: plan.total,
+        changed: plan.changed.length,
+        lost: plan.lost,
+        kept: plan.kept,
+        invalid: plan.invalid.slice(0, 20),
+        blocked: describeSchemeMigration(plan),
+      };
+    } catch (err) {
+      console.error(err);
+      data = { error: err.message };
+    }
+    return data;
+  },
+  async getSchemes(textId) {
+    let data = [];
+    try {
+      const sql = `SELECT schemes.*, users.username FROM schemes LEFT JOIN users ON schemes.user_id = users.id
+        WHERE text_id = $1 ORDER BY version DESC`;
+      data = (await pool.query(sql, [Number(textId)])).rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async setRefscheme(user, params) {
+    const error = references.validate(params.refscheme);
+    if (error) {
+      return { error };
+    }
+    let data = {};
+    if (params.id) {
+      try {
+        const { levels, separator, step } = references.get(params.refscheme);
+        const refscheme = { levels: levels.map((x) => ({ title: x.title.trim(), source: x.source.trim() })), separator, step: Number(step) };
+        const sql = 'UPDATE texts SET refscheme = $2 WHERE id = $1 RETURNING id';
+        const result = await audit(user, 'texts', 'id', Number(params.id), (client) => client.query(sql, [params.id, JSON.stringify(refscheme)]));
         data = result?.rows?.[0];
       } catch (err) {
         console.error(err);
@@ -1097,26 +2130,80 @@ export default {
     }
     return data;
   },
-  async updatePubInfo(id, zipsize, published) {
+  // the references of the strings derived from their numbers are set anew, the renumbering is logged as a whole
+  async setStringsRefs(user, textId, refs) {
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`UPDATE strings SET ref = x.ref FROM json_to_recordset($2) AS x(id INTEGER, ref TEXT)
+        WHERE strings.id = x.id AND strings.text_id = $1 AND strings.ref IS DISTINCT FROM x.ref`, [Number(textId), JSON.stringify(refs)]);
+      const op = 'renumber';
+      await logChange(client, user, 'texts', Number(textId), { text_id: Number(textId), op }, { text_id: Number(textId), op, tokens: result.rowCount });
+      await client.query('COMMIT');
+      data = { id: Number(textId), tokens: result.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  // the strings and the comments within the citation, the comments bound to any of the strings are included
+  async getCitation(id, citation) {
+    const textId = Number(id);
+    let data = {};
+    try {
+      const [text] = (await pool.query('SELECT refscheme FROM texts WHERE id = $1', [textId])).rows;
+      if (!text) {
+        throw new Error(`text ${textId} does not exist`);
+      }
+      const { separator } = references.get(text.refscheme);
+      const range = references.parse(citation, separator);
+      if (!range) {
+        throw new Error('citation is empty');
+      }
+      const { rows } = await pool.query('SELECT id, ref, comments FROM strings WHERE text_id = $1 AND ref IS NOT NULL ORDER BY ord', [textId]);
+      const strings = rows.filter((x) => references.contains(x.ref, range, separator));
+      const ids = [...new Set(strings.flatMap((x) => x.comments))];
+      const sql = `SELECT id, priority, title, published, state, ${sqlCommentRefs} FROM comments WHERE id = ANY($1::int[]) ORDER BY priority, id`;
+      const comments = await citeComments(textId, (await pool.query(sql, [ids])).rows);
+      data = {
+        citation,
+        ref: references.formatRange(strings[0]?.ref, strings[strings.length - 1]?.ref, separator),
+        strings: strings.map((x) => x.id),
+        comments,
+      };
+    } catch (err) {
+      console.error(err);
+      data = { error: err.message };
+    }
+    return data;
+  },
+  async updatePubInfo(user, id, zipsize, published) {
     let data = {};
     try {
       const sql = 'UPDATE texts SET zipsize = $2, published = to_timestamp($3 / 1000.0) WHERE id = $1 RETURNING id';
-      const result = await pool.query(sql, [id, zipsize, published]);
+      const result = await audit(user, 'texts', 'id', Number(id), (client) => client.query(sql, [id, zipsize, published]));
       data = result?.rows?.[0];
     } catch (err) {
       console.error(err);
     }
     return data;
   },
+  // the published comments are the ones in the final states of the workflow
   async getFullComments(id, published = false) {
     let data = [];
     const textId = Number(id);
     if (textId) {
-      const suffix = published ? ' AND published = TRUE ' : '';
-      const sql = `SELECT * FROM comments WHERE text_id = $1 ${suffix} ORDER by priority ASC, id ASC`;
+      const values = published ? [textId, workflow.finals(settings?.workflow)] : [textId];
+      const suffix = published ? ' AND state = ANY($2::text[]) ' : '';
+      const sql = `SELECT *, ${sqlCommentRefs} FROM comments WHERE text_id = $1 ${suffix} ORDER by priority ASC, id ASC`;
       try {
-        const result = await pool.query(sql, [textId]);
-        data = result?.rows;
+        const result = await pool.query(sql, values);
+        data = await citeComments(textId, result?.rows);
       } catch (err) {
         console.error(err);
       }
@@ -1149,7 +2236,7 @@ export default {
     let data = [];
     try {
       const sql = `INSERT INTO images ${sqlPart} RETURNING id`;
-      const result = await pool.query(sql, values);
+      const result = await audit({ id: userId }, 'images', 'id', null, (client) => client.query(sql, values));
       data = result?.rows?.[0];
     } catch (err) {
       console.error(err);
@@ -1177,6 +2264,7 @@ export default {
     }
     return data;
   },
+  // the token stream is changed in bulk by imports and normalisation, they are logged as a whole with `log`
   async deleteFromStrings(textId) {
     // console.log(`DELETE from ${table} with ${id} by ${user.username}`);
     let data = [];
@@ -1191,7 +2279,8 @@ export default {
     }
     return data;
   },
-  async insertBatchIntoStrings(textId, batch, langId, noStdout) {
+  // with keep, the items having the id of a string of the text update it in place, the strings missing in the batch are deleted
+  async insertBatchIntoStrings(textId, batch, langId, noStdout, keep = false) {
     const t0 = performance.now();
     const tokensCount = batch.length;
     const client = await pool.connect();
@@ -1199,22 +2288,35 @@ export default {
 
     try {
       await client.query('BEGIN');
+      if (keep) {
+        await client.query('DELETE FROM strings WHERE text_id = $1 AND NOT id = ANY($2::int[])', [textId, batch.filter((x) => x.id).map((x) => x.id)]);
+      }
       /* eslint-disable no-await-in-loop */
       /* eslint-disable-next-line no-restricted-syntax */
       for (const [i, item] of batch.entries()) {
         // { p: 45, s: 150, form: 'receive', repr: 'receive', meta: 'word' }
         // console.log(item);
-        const token = item.repr;
+        // the key in the vocabulary differs from the representation if the text is normalised with case folding
+        const token = item.token ?? item.repr;
 
         await client.query('INSERT INTO tokens (token, lang, meta) VALUES($1, $2, $3) ON CONFLICT (token, lang) DO NOTHING', [token, langId, item.meta]);
-        await client.query('INSERT INTO strings (text_id, p, s, form, repr) VALUES($1, $2, $3, $4, $5) ', [textId, item.p, item.s, item.form, token]);
+        const [{ id: tokenId }] = (await client.query('SELECT id FROM tokens WHERE token = $1 AND lang = $2', [token, langId])).rows;
+        // pre-tagged tokens (CoNLL-U) bring their grammar along
+        const unitId = item.pos ? await findUnit(client, tokenId, item.pos, item.lemma) : item.unit_id;
+        const values = [textId, item.p, item.s, item.form, item.repr, item.line ?? null, item.speaker ?? null, item.fmt ?? [], item.comments ?? [], unitId ?? null, item.raw ?? null, item.spaceafter ?? null, tokenId, item.ref ?? null, i + 1];
+        if (keep && item.id) {
+          await client.query(`UPDATE strings SET p = $2, s = $3, form = $4, repr = $5, line = $6, speaker = $7, fmt = $8, comments = $9, unit_id = $10,
+            raw = $11, spaceafter = $12, token_id = $13, ref = $14, ord = $15 WHERE text_id = $1 AND id = $16`, [...values, item.id]);
+        } else {
+          await client.query(`INSERT INTO strings (text_id, p, s, form, repr, line, speaker, fmt, comments, unit_id, raw, spaceafter, token_id, ref, ord)
+            VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`, values);
+        }
         // console.log(result);
 
         if (!noStdout) {
           process.stdout.write(`${i}/${tokensCount}\r`);
         }
       }
-      await client.query('UPDATE strings SET token_id = tokens.id FROM tokens WHERE tokens.lang = $1 AND tokens.token = strings.repr', [langId]);
       await client.query('COMMIT');
     } catch (error) {
       await client.query('ROLLBACK');
@@ -1232,6 +2334,19 @@ export default {
     // console.log(`batch: ${secs}s`);
     return secs;
   },
+  async setTextTitle(user, textId, author, title) {
+    let data = {};
+    if (author || title) {
+      try {
+        const sql = 'UPDATE texts SET author = COALESCE(NULLIF($2, \'\'), author), title = COALESCE(NULLIF($3, \'\'), title) WHERE id = $1 RETURNING id';
+        const result = await audit(user, 'texts', 'id', textId, (client) => client.query(sql, [textId, author, title]));
+        data = result?.rows?.[0];
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    return data;
+  },
   async setTextLoaded(textId) {
     let result = [{}];
     try {
@@ -1265,7 +2380,7 @@ export default {
       const queue = [];
       for (let i = 0; i < params.bib.length; i++) {
         const bibjson = params.bib[i];
-        const query = pool.query(sql, values.concat([params.lang, JSON.stringify(bibjson), bibjson.id, raws[i]]));
+        const query = audit(user, 'sources', 'id', Number(params?.id), (client) => client.query(sql, values.concat([params.lang, JSON.stringify(bibjson), bibjson.id, raws[i]])));
         queue.push(query);
       }
       data = (await Promise.all(queue)).map((x) => x?.rows?.[0]);
@@ -1303,6 +2418,26 @@ export default {
     }
     return data;
   },
+  // the comments of the same text referencing the comment by the field of the comment type or within the rich text
+  async checkCommentsForComment(id) {
+    const commentId = Number(id);
+    let data = [];
+    try {
+      const sql = `SELECT comments.id, comments.priority, comments.title, comments.text_id, comments.entry, texts.scheme FROM comments
+        JOIN texts ON texts.id = comments.text_id
+        WHERE comments.text_id = (SELECT text_id FROM comments WHERE id = $1) AND comments.id <> $1
+        AND (jsonb_path_exists(comments.entry::jsonb, '$.** ? (@.type == "commentref" && @.attrs.id == $id)', jsonb_build_object('id', $1::int))
+        OR EXISTS (SELECT 1 FROM jsonb_each(comments.entry::jsonb) AS x WHERE x.value = to_jsonb($1::int)))
+        ORDER BY comments.priority, comments.id`;
+      const result = await pool.query(sql, [commentId]);
+      data = result.rows
+        .filter((x) => fields.links(x.scheme, x.entry, 'comment').includes(commentId))
+        .map(({ entry, scheme, ...x }) => x);
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
   async getClasses() {
     let data = [];
     const sql = 'SELECT * FROM classes ORDER BY id';
@@ -1332,7 +2467,7 @@ export default {
     sql += ' RETURNING id';
     // console.log(sql);
     try {
-      const result = await pool.query(sql, values);
+      const result = await audit(user, 'classes', 'id', Number(params?.id), (client) => client.query(sql, values));
       data = result?.rows?.[0];
     } catch (err) {
       console.error(JSON.stringify(err));
@@ -1350,7 +2485,7 @@ export default {
         const result = await pool.query(sql);
         data = result?.rows?.length;
         if (data === 0) {
-          await pool.query('DELETE FROM classes where name = $1', [className]);
+          await audit(user, 'classes', 'name', className, (client) => client.query('DELETE FROM classes where name = $1', [className]));
         }
       } catch (err) {
         console.error(err);
@@ -1358,12 +2493,193 @@ export default {
     }
     return data || 0;
   },
+  async getTagsets() {
+    const sql = `SELECT tagsets.*, COALESCE(json_agg(postags ORDER BY postags.id) FILTER (WHERE postags.id IS NOT NULL), '[]') AS tags
+      FROM tagsets LEFT JOIN postags ON postags.tagset_id = tagsets.id GROUP BY tagsets.id ORDER BY tagsets.id`;
+    let data = [];
+    try {
+      const result = await pool.query(sql);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // the tags of the tagset given or of the one chosen for the text, the first tagset is the default one
+  async getTextTagset(textId, tagsetId) {
+    const sql = `SELECT postags.* FROM postags WHERE tagset_id = COALESCE($2, (SELECT tagset_id FROM texts WHERE id = $1), (SELECT MIN(id) FROM tagsets))
+      ORDER BY postags.id`;
+    let data = [];
+    try {
+      const result = await pool.query(sql, [Number(textId) || null, Number(tagsetId) || null]);
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // replaces the tags of the tagset, the tags stored in `units` are not renamed
+  async setTagset(user, params) {
+    const error = tagsets.validate(params);
+    if (error) {
+      return { error };
+    }
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const before = params.id ? await selectTagset(client, params.id) : {};
+      const values = [params.title.trim(), params.lang || null, params.description || ''];
+      const result = params.id
+        ? await client.query('UPDATE tagsets SET title = $1, lang = $2, description = $3 WHERE id = $4 RETURNING id', [...values, params.id])
+        : await client.query('INSERT INTO tagsets (title, lang, description) VALUES($1, $2, $3) RETURNING id', values);
+      const tagsetId = result.rows[0].id;
+      const tags = params.tags || [];
+      await client.query('DELETE FROM postags WHERE tagset_id = $1 AND NOT tag = ANY($2::text[])', [tagsetId, tags.map((x) => x.tag.trim())]);
+      const sql = `INSERT INTO postags (tagset_id, tag, title, description, examples, upos, refine, color, font, hotkey) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (tagset_id, tag) DO UPDATE SET title = $3, description = $4, examples = $5, upos = $6, refine = $7, color = $8, font = $9, hotkey = $10`;
+      /* eslint-disable-next-line no-restricted-syntax */
+      for (const x of tags) {
+        /* eslint-disable-next-line no-await-in-loop */
+        await client.query(sql, [tagsetId, x.tag.trim(), x.title || '', x.description || '', x.examples || '', x.upos || null, x.refine || {}, x.color || '', x.font || '', x.hotkey || null]);
+      }
+      await logChange(client, user, 'tagsets', tagsetId, before, await selectTagset(client, tagsetId));
+      await client.query('COMMIT');
+      data = { id: tagsetId };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(err);
+      data = { error: err.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  // creates a tagset from a CSV or JSON file, or adds the tags of the file to the existing tagset
+  async importTagset(user, params) {
+    const { tags, error } = tagsets.parse(params.content, params.format);
+    if (error) {
+      return { error };
+    }
+    if (!params.id) {
+      return this.setTagset(user, { title: params.title, lang: params.lang, tags });
+    }
+    const [tagset] = (await this.getTagsets()).filter((x) => x.id === Number(params.id));
+    if (!tagset) {
+      return { error: 'tagset does not exist' };
+    }
+    const merged = Object.fromEntries(tagset.tags.map((x) => [x.tag, x]));
+    tags.forEach((x) => {
+      const current = merged[x.tag] || {};
+      merged[x.tag] = {
+        ...current, ...Object.fromEntries(Object.entries(x).filter(([, value]) => value)), tag: x.tag,
+      };
+    });
+    return this.setTagset(user, { ...tagset, tags: Object.values(merged) });
+  },
+  async deleteTagset(user, id) {
+    const client = await pool.connect();
+    let data = [];
+    try {
+      await client.query('BEGIN');
+      const before = await selectTagset(client, id);
+      await client.query('UPDATE texts SET tagset_id = NULL WHERE tagset_id = $1', [id]);
+      await client.query('DELETE FROM postags WHERE tagset_id = $1', [id]);
+      data = (await client.query('DELETE FROM tagsets WHERE id = $1 RETURNING id', [id])).rows;
+      if (data.length) {
+        await logChange(client, user, 'tagsets', data[0].id, before, {});
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(err);
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  async getRulesets() {
+    let data = [];
+    try {
+      const result = await pool.query('SELECT * FROM rulesets ORDER BY id');
+      data = result?.rows;
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async getTextRuleset(textId, lang) {
+    let data;
+    try {
+      data = await selectRuleset(pool, textId, lang);
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  async setRuleset(user, params) {
+    const error = normalizer.validate(params);
+    if (error) {
+      return { error };
+    }
+    const values = [
+      String(params.title || '').trim() || 'untitled',
+      params.lang || null,
+      Number(params.text_id) || null,
+      Boolean(params.casefold),
+      JSON.stringify(params.rules || []),
+      params.mapping || {},
+    ];
+    let sql = '';
+    if (params?.id) {
+      values.push(Number(params.id));
+      sql = 'UPDATE rulesets SET title = $1, lang = $2, text_id = $3, casefold = $4, rules = $5, mapping = $6 WHERE id = $7';
+    } else {
+      sql = 'INSERT INTO rulesets (title, lang, text_id, casefold, rules, mapping) VALUES ($1, $2, $3, $4, $5, $6)';
+    }
+    sql += ' RETURNING id';
+    let data = {};
+    try {
+      const result = await audit(user, 'rulesets', 'id', Number(params?.id), (client) => client.query(sql, values));
+      data = result?.rows?.[0];
+    } catch (err) {
+      console.error(err);
+      data = { error: err?.detail || err?.routine };
+    }
+    return data;
+  },
+  // updates representations of the strings and their links to the vocabulary
+  async setStringsNormalization(textId, langId, batch) {
+    const t0 = performance.now();
+    const client = await pool.connect();
+    let isError = false;
+    try {
+      await client.query('BEGIN');
+      /* eslint-disable no-await-in-loop */
+      /* eslint-disable-next-line no-restricted-syntax */
+      for (const item of batch) {
+        await client.query('INSERT INTO tokens (token, lang, meta) VALUES($1, $2, $3) ON CONFLICT (token, lang) DO NOTHING', [item.token, langId, item.meta]);
+        const sql = `UPDATE strings SET raw = $2, repr = $3, token_id = t.id, unit_id = CASE WHEN token_id = t.id THEN unit_id END
+          FROM (SELECT id FROM tokens WHERE token = $4 AND lang = $5) AS t WHERE strings.id = $1 AND text_id = $6`;
+        await client.query(sql, [item.id, item.raw, item.repr, item.token, langId, textId]);
+      }
+      /* eslint-enable no-await-in-loop */
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      isError = true;
+      console.error(error);
+    } finally {
+      client.release();
+    }
+    return isError ? undefined : ((performance.now() - t0) / 1000).toFixed(2);
+  },
   async renameImage(user, imageId, imageTitle) {
     let data = [];
     if (imageId) {
       const sql = 'UPDATE images SET title = $2 WHERE id = $1 RETURNING id';
       try {
-        const result = await pool.query(sql, [imageId, imageTitle]);
+        const result = await audit(user, 'images', 'id', imageId, (client) => client.query(sql, [imageId, imageTitle]));
         data = result?.rows?.[0];
       } catch (err) {
         console.error(JSON.stringify(err));
@@ -1380,7 +2696,7 @@ export default {
     if (id) {
       try {
         const sql = 'UPDATE strings SET fmt = $2 WHERE id = $1 RETURNING id';
-        const result = await pool.query(sql, [id, fmtAsArray]);
+        const result = await auditStrings(user, 'format', [id], (client) => client.query(sql, [id, fmtAsArray]));
         data = result?.rows?.shift();
       } catch (err) {
         console.error(err);
@@ -1388,23 +2704,167 @@ export default {
     }
     return data;
   },
-  async getLogs(params) {
+  async editStrings(user, params) {
+    const stringId = Number(params?.id);
+    const { op } = params;
+    if (!stringId || !stringEditOperations.includes(op)) {
+      return { error: 'wrong parameters' };
+    }
+    const client = await pool.connect();
+    let data = {};
+    try {
+      await client.query('BEGIN');
+      const sqlSelect = sqlSelectStrings;
+      const [row] = (await client.query(`${sqlSelect} strings.id = $1`, [stringId])).rows;
+      if (!row) {
+        throw new Error(`string ${stringId} does not exist`);
+      }
+      const textId = row.text_id;
+      const [textInfo] = (await client.query('SELECT lang FROM texts WHERE id = $1', [textId])).rows;
+      const lang = textInfo.lang.split('-').shift();
+      const compiled = normalizer.compile(await selectRuleset(client, textId, lang));
+      const sqlInsert = 'INSERT INTO strings (ord, text_id, p, s, line, speaker, form, raw, repr, fmt, comments, token_id, ref) VALUES($1, $2, $3, $4, $5, $6, $7, $7, $8, $9, $10, $11, $12) RETURNING id';
+      let before = [row];
+      let ids = [stringId];
+      // the removed strings are mapped to the ones replacing them in the links of the tokens
+      let mapping = {};
+
+      if (op === 'correct') {
+        const raw = String(params.repr || params.form || '').trim();
+        if (!isTokenValid(raw)) {
+          throw new Error('token is empty or contains spaces');
+        }
+        const token = await linkToken(client, raw, lang, compiled, params.meta);
+        const sql = 'UPDATE strings SET form = $2, raw = $3, repr = $4, token_id = $5, unit_id = CASE WHEN token_id = $5 THEN unit_id END WHERE id = $1';
+        await client.query(sql, [stringId, String(params.form || raw).trim(), raw, token.repr, token.id]);
+      } else if (op === 'split') {
+        const parts = (params.parts || []).map((x) => String(x).trim());
+        if (parts.length < 2 || !parts.every(isTokenValid)) {
+          throw new Error('the token should be split into at least two non-empty parts');
+        }
+        const [first, ...rest] = parts;
+        await shiftStrings(client, textId, row.ord, rest.length);
+        const token = await linkToken(client, first, lang, compiled);
+        await client.query('UPDATE strings SET form = $2, raw = $2, repr = $3, token_id = $4, unit_id = NULL WHERE id = $1', [stringId, first, token.repr, token.id]);
+        /* eslint-disable no-await-in-loop */
+        /* eslint-disable-next-line no-restricted-syntax */
+        for (const [i, raw] of rest.entries()) {
+          const part = await linkToken(client, raw, lang, compiled);
+          const values = [row.ord + i + 1, textId, row.p, row.s, row.line, row.speaker, raw, part.repr, row.fmt, row.comments, part.id, row.ref];
+          const [inserted] = (await client.query(sqlInsert, values)).rows;
+          ids.push(inserted.id);
+        }
+        /* eslint-enable no-await-in-loop */
+        mapping = { [stringId]: ids };
+      } else if (op === 'merge') {
+        const sqlRange = `${sqlSelect} text_id = $1 AND strings.ord BETWEEN $2 AND (SELECT ord FROM strings WHERE id = $3 AND text_id = $1) ORDER BY strings.ord`;
+        before = (await client.query(sqlRange, [textId, row.ord, Number(params.to)])).rows;
+        if (before.length < 2 || before.some((x) => x.p !== row.p)) {
+          throw new Error('only consecutive tokens of one paragraph can be merged');
+        }
+        const raw = String(params.repr || before.map((x) => x.raw ?? x.repr).join('')).trim();
+        if (!isTokenValid(raw)) {
+          throw new Error('token is empty or contains spaces');
+        }
+        const token = await linkToken(client, raw, lang, compiled, params.meta);
+        const comments = [...new Set(before.flatMap((x) => x.comments))];
+        const fmt = [...new Set(before.flatMap((x) => x.fmt))];
+        const sql = 'UPDATE strings SET form = $2, raw = $2, repr = $3, token_id = $4, unit_id = NULL, comments = $5, fmt = $6 WHERE id = $1';
+        await client.query(sql, [stringId, raw, token.repr, token.id, comments, fmt]);
+        await client.query('DELETE FROM strings WHERE id = ANY($1::int[])', [before.slice(1).map((x) => x.id)]);
+        await shiftStrings(client, textId, row.ord, 1 - before.length);
+        mapping = Object.fromEntries(before.slice(1).map((x) => [x.id, [stringId]]));
+      } else if (op === 'insert') {
+        const raw = String(params.form || '').trim();
+        if (!isTokenValid(raw)) {
+          throw new Error('token is empty or contains spaces');
+        }
+        // the new string takes the place of the current one, when it is inserted before it
+        const newOrd = params.before ? row.ord : row.ord + 1;
+        await shiftStrings(client, textId, newOrd - 1, 1);
+        const token = await linkToken(client, raw, lang, compiled, params.meta);
+        const [inserted] = (await client.query(sqlInsert, [newOrd, textId, row.p, row.s, row.line, row.speaker, raw, token.repr, [], [], token.id, row.ref])).rows;
+        before = [];
+        ids = [inserted.id];
+      } else if (op === 'delete') {
+        if (row.comments.length) {
+          throw new Error('the token is bound to comments, they should be unbound before');
+        }
+        await client.query('DELETE FROM strings WHERE id = $1', [stringId]);
+        await shiftStrings(client, textId, row.ord, -1);
+        mapping = { [stringId]: [] };
+        ids = [];
+      }
+
+      const after = (await client.query(`${sqlSelect} strings.id = ANY($1::int[]) ORDER BY strings.ord`, [ids])).rows;
+      const change = await logChange(client, user, 'strings', ids[0] || stringId, { text_id: textId, op, strings: before }, { text_id: textId, op, strings: after });
+      const links = await remapTokenSegments(client, user, textId, mapping);
+      const witnesses = await recollateWitnesses(client, user, textId);
+      await client.query('COMMIT');
+      data = {
+        strings: after, change, links, witnesses
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(error);
+      data = { error: error.message };
+    } finally {
+      client.release();
+    }
+    return data;
+  },
+  async log(user, table, recordId, data0, data1) {
+    let data;
+    try {
+      data = await logChange(pool, user, table, recordId, data0, data1);
+    } catch (err) {
+      console.error(err);
+    }
+    return data;
+  },
+  // changes of the text, filtered by the params
+  // the changes of the records shared by all the texts (users, tags, settings...) are shown to administrators only
+  async getLogs(user, params) {
     const offset = params?.offset || 0;
     const limit = params?.limit || 50;
     const id = Number(params.id) || 1;
+    const values = [id];
+    const conditions = [user?.privs === 1 ? '(logs.text_id = $1 OR logs.text_id IS NULL)' : 'logs.text_id = $1'];
+    const addCondition = (condition, value) => {
+      values.push(value);
+      conditions.push(condition.replace('?', `$${values.length}`));
+    };
     const commentId = Number(params.comment);
-    // console.log('comment', commentId);
-    const condition = commentId ? `logs.record_id = ${commentId} AND` : '';
+    if (commentId) {
+      addCondition("logs.table_name = 'comments' AND logs.record_id = ?", commentId);
+    }
+    if (params.table) {
+      addCondition('logs.table_name = ?', String(params.table));
+    }
+    if (Number(params.user)) {
+      addCondition('logs.user_id = ?', Number(params.user));
+    }
+    if (params.record !== undefined && params.record !== '' && Number.isInteger(Number(params.record))) {
+      addCondition('logs.record_id = ?', Number(params.record));
+    }
+    if (Number(params.from)) {
+      addCondition('logs.created >= to_timestamp(? / 1000.0)', Number(params.from));
+    }
+    if (Number(params.to)) {
+      addCondition('logs.created <= to_timestamp(? / 1000.0)', Number(params.to));
+    }
+    const condition = conditions.join(' AND ');
     const sql = `SELECT 
       logs.*, (CASE WHEN logs.record_id = comments.id THEN True ELSE False END) AS present
-      FROM logs LEFT JOIN comments ON logs.record_id = comments.id
-      WHERE ${condition} (data0->>'text_id' = $3::text or data1->>'text_id' = $3::text)
-      ORDER BY logs.created DESC, logs.id DESC OFFSET $1 LIMIT $2`;
+      FROM logs LEFT JOIN comments ON logs.table_name = 'comments' AND logs.record_id = comments.id
+      WHERE ${condition}
+      ORDER BY logs.created DESC, logs.id DESC OFFSET $${values.length + 1} LIMIT $${values.length + 2}`;
     // console.log(sql);
-    const res = await pool.query(sql, [offset, limit, id]);
+    const res = await pool.query(sql, [...values, offset, limit]);
 
-    const count = await pool.query(`SELECT count(*) FROM logs WHERE ${condition} (data0->>'text_id' = $1::text or data1->>'text_id' = $1::text)`, [id]);
-    return { data: res?.rows, count: Number(count?.rows?.[0]?.count || 0) };
+    const count = await pool.query(`SELECT count(*) FROM logs WHERE ${condition}`, values);
+    const logged = await pool.query('SELECT DISTINCT table_name FROM logs ORDER BY table_name');
+    return { data: res?.rows, count: Number(count?.rows?.[0]?.count || 0), tables: logged.rows.map((x) => x.table_name) };
   },
   async getChange(params) {
     const id = Number(params.id) || 1;
@@ -1438,22 +2898,72 @@ export default {
     }
     return data;
   },
+  // frequency lists of a text: words (tokens of the vocabulary), lemmas, parts of speech and n-grams of words within sentences
+  // commented is the number of occurrences bound to comments, the n-grams occurring once are omitted
+  async getFrequencies(id, list, size) {
+    const textId = Number(id);
+    const n = Math.min(Math.max(Number(size) || 2, 2), 5);
+    const sqlWords = `SELECT s.id, s.ord, s.s, lower(t.token) AS word, s.unit_id, s.comments FROM strings s
+      JOIN tokens t ON s.token_id = t.id WHERE s.text_id = $1 AND t.meta = 'word'`;
+    const queries = {
+      words: {
+        columns: ['item', 'freq', 'commented'],
+        sql: `SELECT word AS item, count(*)::int AS freq, count(*) FILTER (WHERE cardinality(comments) > 0)::int AS commented
+          FROM (${sqlWords}) AS w GROUP BY word ORDER BY freq DESC, item`,
+      },
+      lemmas: {
+        columns: ['item', 'pos', 'freq'],
+        sql: `SELECT lower(u.lemma) AS item, u.pos, count(*)::int AS freq FROM (${sqlWords}) AS w JOIN units u ON w.unit_id = u.id
+          WHERE u.lemma IS NOT NULL AND u.lemma <> '' GROUP BY lower(u.lemma), u.pos ORDER BY freq DESC, item`,
+      },
+      pos: {
+        columns: ['item', 'freq', 'types'],
+        sql: `SELECT COALESCE(u.pos, '') AS item, count(*)::int AS freq, count(DISTINCT w.word)::int AS types
+          FROM (${sqlWords}) AS w LEFT JOIN units u ON w.unit_id = u.id GROUP BY u.pos ORDER BY freq DESC`,
+      },
+      ngrams: {
+        columns: ['item', 'freq'],
+        sql: `SELECT item, count(*)::int AS freq FROM (
+          SELECT concat_ws(' ', word, ${[...Array(n - 1).keys()].map((x) => `lead(word, ${x + 1}) OVER o`).join(', ')}) AS item,
+            lead(word, ${n - 1}) OVER o AS last
+          FROM (${sqlWords}) AS w WINDOW o AS (PARTITION BY s ORDER BY ord)) AS grams
+          WHERE last IS NOT NULL GROUP BY item HAVING count(*) > 1 ORDER BY freq DESC, item`,
+      },
+    };
+    const query = queries[list] || queries.words;
+    const data = { columns: query.columns, rows: [] };
+    if (textId) {
+      try {
+        const result = await pool.query(query.sql, [textId]);
+        data.rows = result.rows;
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    return data;
+  },
   async getStats(id) {
     const textId = Number(id);
     let data = {};
     if (textId) {
       try {
-        const comments = await pool.query('SELECT count(*)::int as total, count(*) FILTER (where published = True)::int as ready, count(*) FILTER (where published != True)::int as draft FROM comments WHERE text_id = $1', [textId]);
+        const finals = workflow.finals(settings?.workflow);
+        const comments = await pool.query('SELECT count(*)::int as total, count(*) FILTER (where state = ANY($2::text[]))::int as ready, count(*) FILTER (where state IS NULL OR NOT state = ANY($2::text[]))::int as draft FROM comments WHERE text_id = $1', [textId, finals]);
+        const states = await pool.query('SELECT state, count(*)::int FROM comments WHERE text_id = $1 GROUP BY state', [textId]);
         const changes = await pool.query("select user_id, count(user_id)::int from logs WHERE (data0->>'text_id' = $1::text or data1->>'text_id' = $1::text) GROUP BY user_id", [textId]);
         const words = await pool.query("select cardinality(comments) as qty, count(*)::int from strings join tokens on strings.token_id = tokens.id  where text_id = $1 and meta='word' group by qty", [textId]);
         const tags = await pool.query('select tags, count(tags) as qty from comments where text_id = $1 group by tags order by qty DESC', [textId]);
+        const vocabulary = await pool.query(`SELECT count(*)::int AS types, sum(freq)::int AS tokens, count(*) FILTER (WHERE freq = 1)::int AS hapax
+          FROM (SELECT count(*) AS freq FROM strings JOIN tokens ON strings.token_id = tokens.id WHERE text_id = $1 AND meta = 'word' GROUP BY lower(token)) AS f`, [textId]);
         const etc = await pool.query("select round(extract(epoch from(created + ((now() - created) / $2))))::int as etc from logs WHERE (data0->>'text_id' = $1::text or data1->>'text_id' = $1::text) order by created asc limit 1;", [textId, comments.rows[0].ready / comments.rows[0].total]);
         data = {
           etc: etc.rows?.[0]?.etc,
           comments: comments?.rows?.[0],
+          states: states?.rows,
           changes: changes?.rows,
           words: words?.rows,
           tags: tags?.rows,
+          vocabulary: vocabulary?.rows?.[0],
         };
       } catch (error) {
         console.error('Error querying stats', error);
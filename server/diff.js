@@ -0,0 +1,124 @@
+// token stream alignment for re-importing texts and collating witnesses
+// Myers' O(ND) difference algorithm, see http://www.xmailserver.org/diff2.pdf
+
+// beyond this edit distance the trace gets too large, the streams are treated as unrelated
+const maxDistance = 5000;
+
+const findMatches = (a, b) => {
+  const [n, m] = [a.length, b.length];
+  const max = Math.min(n + m, maxDistance);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let distance = -1;
+
+  for (let d = 0; d <= max && distance < 0; d += 1) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d && distance < 0; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        distance = d;
+      }
+    }
+  }
+
+  if (distance < 0) {
+    return null;
+  }
+
+  const matches = [];
+  let [x, y] = [n, m];
+  for (let d = distance; d >= 0; d -= 1) {
+    const snapshot = trace[d];
+    const at = (key) => snapshot[key + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d ? at(prevK) : 0;
+    const prevY = d ? prevX - prevK : 0;
+    while (x > prevX && y > prevY) {
+      x -= 1;
+      y -= 1;
+      matches.push([x, y]);
+    }
+    [x, y] = [prevX, prevY];
+  }
+  return matches.reverse();
+};
+
+// the common head and tail are matched before the search, so that the distance is counted for the changed part only
+const matchStreams = (a, b) => {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) {
+    head += 1;
+  }
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - tail - 1] === b[b.length - tail - 1]) {
+    tail += 1;
+  }
+
+  const middle = findMatches(a.slice(head, a.length - tail), b.slice(head, b.length - tail));
+  const matches = [
+    ...Array.from({ length: head }, (_, i) => [i, i]),
+    ...(middle || []).map(([i, j]) => [i + head, j + head]),
+    ...Array.from({ length: tail }, (_, i) => [a.length - tail + i, b.length - tail + i]),
+  ];
+  return { matches, exhaustive: Boolean(middle) };
+};
+
+export default {
+  // returns for every target item the index of the corresponding source item or -1
+  // equal-sized replaced runs are paired one by one (typo fixes), others stay unmatched
+  align(source, target, key = (x) => x) {
+    const [a, b] = [source.map(key), target.map(key)];
+    const { matches, exhaustive } = matchStreams(a, b);
+
+    const mapping = new Array(b.length).fill(-1);
+    const stats = {
+      same: matches.length, changed: 0, added: 0, removed: 0, exhaustive
+    };
+    let [x, y] = [0, 0];
+    [...matches, [a.length, b.length]].forEach(([i, j]) => {
+      const [oldSize, newSize] = [i - x, j - y];
+      if (oldSize === newSize) {
+        for (let shift = 0; shift < newSize; shift += 1) {
+          mapping[y + shift] = x + shift;
+        }
+        stats.changed += newSize;
+      } else {
+        stats.added += newSize;
+        stats.removed += oldSize;
+      }
+      if (j < b.length) {
+        mapping[j] = i;
+      }
+      [x, y] = [i + 1, j + 1];
+    });
+
+    return { mapping, ...stats };
+  },
+  // returns the runs of differing items as half-open ranges of indices [start, end) in both streams
+  // a run with an empty source range is an addition, with an empty target range is an omission
+  compare(source, target, key = (x) => x) {
+    const [a, b] = [source.map(key), target.map(key)];
+    const { matches, exhaustive } = matchStreams(a, b);
+
+    const runs = [];
+    let [x, y] = [0, 0];
+    [...matches, [a.length, b.length]].forEach(([i, j]) => {
+      if (i > x || j > y) {
+        runs.push({ source: [x, i], target: [y, j] });
+      }
+      [x, y] = [i + 1, j + 1];
+    });
+
+    return { runs, same: matches.length, exhaustive };
+  },
+};
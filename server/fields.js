@@ -0,0 +1,227 @@
+// fields of the comments of a text (`texts.scheme`): their types, the validation of their values and their roles in the published site
+// the values are stored in `comments.entry` by the identifiers of the fields, an empty value is allowed for any type
+
+export const fieldTypes = ['line', 'rich', 'select', 'multiselect', 'number', 'date', 'url', 'comment', 'source'];
+
+// tooltip is shown over the commented tokens, modal and article are the two pages of the window of the comment
+export const fieldRoles = ['tooltip', 'modal', 'article', 'hidden'];
+
+// the changes of the scheme carried over to the entries of the comments: rename the key, convert between line and rich text,
+// merge the fields into the line or rich one, drop the field
+export const migrationOps = ['rename', 'convert', 'merge', 'drop'];
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+const isId = (value) => Number.isInteger(value) && value > 0;
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+const isURL = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// the text nodes of the rich value, its paragraphs, list items and table cells are joined by spaces
+const toLine = (value) => {
+  if (value?.type === 'doc') {
+    const getText = (node) => (node.text ?? '') + (node.content || []).map(getText).filter((x) => x).join(node.type === 'paragraph' ? '' : ' ');
+    return value.content?.map(getText).filter((x) => x).join(' ') || '';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+};
+
+const toRich = (value) => {
+  if (value?.type === 'doc') {
+    return value;
+  }
+  const text = toLine(value);
+  return { type: 'doc', content: [{ type: 'paragraph', ...(text && { content: [{ type: 'text', text }] }) }] };
+};
+
+// the nodes of the rich text referencing the comments of the text
+const linkNodes = { comment: 'commentref' };
+
+const findNodes = (node, type) => [
+  ...(node?.type === type && node.attrs?.id ? [node.attrs.id] : []),
+  ...(Array.isArray(node?.content) ? node.content.flatMap((x) => findNodes(x, type)) : []),
+];
+
+// returns error message for the value, or empty string
+const checkers = {
+  line: (value) => (typeof value === 'string' ? '' : 'should be a string'),
+  rich: (value) => (value?.type === 'doc' ? '' : 'should be a document'),
+  select: (value, field) => (field.options.includes(value) ? '' : `'${value}' is not an option`),
+  multiselect: (value, field) => {
+    if (!Array.isArray(value)) {
+      return 'should be a list';
+    }
+    const wrong = value.find((x) => !field.options.includes(x));
+    return wrong === undefined ? '' : `'${wrong}' is not an option`;
+  },
+  number: (value, field) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return 'should be a number';
+    }
+    if (typeof field.min === 'number' && value < field.min) {
+      return `should not be less than ${field.min}`;
+    }
+    return typeof field.max === 'number' && value > field.max ? `should not be greater than ${field.max}` : '';
+  },
+  date: (value) => (isDate(value) ? '' : 'should be a date as YYYY-MM-DD'),
+  url: (value) => (isURL(value) ? '' : 'should be a web link starting with http:// or https://'),
+  comment: (value) => (isId(value) ? '' : 'should be an ID of a comment'),
+  source: (value) => (isId(value) ? '' : 'should be an ID of a source'),
+};
+
+// the schemes made before the roles: the first line is the tooltip, the first two rich fields are the modal and the article
+const getScheme = (scheme) => {
+  const items = Array.isArray(scheme) ? scheme : [];
+  if (items.some((x) => x.role)) {
+    return items.map((x) => ({ ...x, role: x.role || 'hidden' }));
+  }
+  const tooltip = items.find((x) => x.type === 'line');
+  const [modal, article] = items.filter((x) => x.type === 'rich');
+  return items.map((x) => {
+    const role = [[tooltip, 'tooltip'], [modal, 'modal'], [article, 'article']].find(([item]) => item === x)?.[1];
+    return { ...x, role: role || 'hidden' };
+  });
+};
+
+export default {
+  get: getScheme,
+  // returns error message for the first invalid field
+  validate(scheme) {
+    if (!Array.isArray(scheme)) {
+      return 'scheme should be a list of fields';
+    }
+    const ids = new Set();
+    const invalid = scheme.map((x, i) => {
+      const id = String(x?.id ?? '');
+      if (!/^[a-z][a-z0-9]*$/.test(id)) {
+        return `field ${i + 1}: the identifier should consist of lowercase Latin letters and digits`;
+      }
+      if (ids.has(id)) {
+        return `field ${i + 1}: '${id}' is duplicated`;
+      }
+      ids.add(id);
+      if (!x.title?.trim()) {
+        return `field ${i + 1}: title is empty`;
+      }
+      if (!fieldTypes.includes(x.type)) {
+        return `field ${i + 1}: unknown type '${x.type}'`;
+      }
+      if (x.role && !fieldRoles.includes(x.role)) {
+        return `field ${i + 1}: unknown role '${x.role}'`;
+      }
+      if (x.role === 'tooltip' && x.type === 'rich') {
+        return `field ${i + 1}: rich text cannot be a tooltip`;
+      }
+      if (['select', 'multiselect'].includes(x.type) && !(Array.isArray(x.options) && x.options.length)) {
+        return `field ${i + 1}: there should be at least one option`;
+      }
+      return '';
+    }).find((x) => x);
+    if (invalid) {
+      return invalid;
+    }
+    const roles = getScheme(scheme).map((x) => x.role);
+    if (roles.filter((x) => x === 'tooltip').length > 1) {
+      return 'only one field can be the tooltip';
+    }
+    return roles.includes('article') && !roles.includes('modal') ? 'the article needs a field of the modal body' : '';
+  },
+  // returns error message for the first invalid value of the entry
+  check(scheme, entry) {
+    if (entry !== null && entry !== undefined && (typeof entry !== 'object' || Array.isArray(entry))) {
+      return 'entry should be an object';
+    }
+    const invalid = getScheme(scheme)
+      .filter((x) => !isEmpty(entry?.[x.id]))
+      .map((x) => [x, checkers[x.type]?.(entry[x.id], x)])
+      .find(([, error]) => error);
+    return invalid ? `${invalid[0].title}: ${invalid[1]}` : '';
+  },
+  // returns error message for the first invalid migration, the targets should be the line or rich fields of the new scheme
+  validateMigrations(scheme, migrations) {
+    if (!Array.isArray(migrations)) {
+      return 'migrations should be a list';
+    }
+    const types = Object.fromEntries((Array.isArray(scheme) ? scheme : []).map((x) => [x.id, x.type]));
+    const isKey = (x) => typeof x === 'string' && /^[a-z][a-z0-9]*$/.test(x);
+    return migrations.map((x, i) => {
+      if (!migrationOps.includes(x?.op)) {
+        return `migration ${i + 1}: unknown operation '${x?.op}'`;
+      }
+      const sources = x.op === 'merge' ? x.from : [x.from];
+      if (!Array.isArray(sources) || !sources.length || !sources.every(isKey)) {
+        return `migration ${i + 1}: the field to ${x.op} is not set`;
+      }
+      if (x.op === 'drop') {
+        return '';
+      }
+      if (!types[x.to]) {
+        return `migration ${i + 1}: '${x.to}' is not a field of the scheme`;
+      }
+      return x.op !== 'rename' && !['line', 'rich'].includes(types[x.to]) ? `migration ${i + 1}: only line and rich fields can be converted or merged` : '';
+    }).find((x) => x) || '';
+  },
+  // the entry after the migrations, the type of the target field is taken from the new scheme
+  migrate(scheme, entry, migrations) {
+    const types = Object.fromEntries((Array.isArray(scheme) ? scheme : []).map((x) => [x.id, x.type]));
+    const convert = (key, value) => {
+      if (isEmpty(value)) {
+        return null;
+      }
+      return types[key] === 'rich' ? toRich(value) : toLine(value);
+    };
+    return migrations.reduce((acc, x) => {
+      const { [x.from]: value, ...rest } = acc;
+      if (x.op === 'drop' || (x.op !== 'merge' && !(x.from in acc))) {
+        return x.op === 'drop' ? rest : acc;
+      }
+      if (x.op === 'rename') {
+        return { ...rest, [x.to]: value };
+      }
+      if (x.op === 'convert') {
+        return { ...rest, [x.to]: convert(x.to, value) };
+      }
+      // the values are appended to the value of the target field in the order of the fields
+      const values = [x.to, ...x.from.filter((key) => key !== x.to)].map((key) => acc[key]).filter((y) => !isEmpty(y));
+      const merged = Object.fromEntries(Object.entries(acc).filter(([key]) => !x.from.includes(key)));
+      if (!values.length) {
+        return merged;
+      }
+      merged[x.to] = types[x.to] === 'rich'
+        ? { type: 'doc', content: values.flatMap((y) => toRich(y).content) }
+        : values.map(toLine).filter((y) => y).join(' ');
+      return merged;
+    }, entry && typeof entry === 'object' ? { ...entry } : {});
+  },
+  // the keys of the entry with values which are not fields of the scheme
+  orphans(scheme, entry) {
+    const ids = new Set((Array.isArray(scheme) ? scheme : []).map((x) => x.id));
+    return Object.keys(entry || {}).filter((key) => !ids.has(key) && !isEmpty(entry[key]));
+  },
+  // the identifiers of the comments or of the sources referenced by the entry, the comments can be referenced within the rich text too
+  links(scheme, entry, type) {
+    const items = getScheme(scheme);
+    return [
+      ...items.filter((x) => x.type === type && !isEmpty(entry?.[x.id])).map((x) => entry[x.id]),
+      ...(linkNodes[type] ? items.filter((x) => x.type === 'rich').flatMap((x) => findNodes(entry?.[x.id], linkNodes[type])) : []),
+    ];
+  },
+  // the fields of the role, in the order of the scheme
+  byRole(scheme, role) {
+    return getScheme(scheme).filter((x) => x.role === role);
+  },
+  // plain text of the value of the field which is not rich, titles are the titles of the referenced comments and sources by their ids
+  format(field, value, titles = {}) {
+    if (isEmpty(value)) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.join(', ');
+    }
+    return ['comment', 'source'].includes(field.type) ? titles[field.type]?.[value] ?? `#${value}` : String(value);
+  },
+};
@@ -63,7 +63,7 @@ const setup = () => {
 };
 
 const getIndexPath = () => path.join(dirs.public.path, 'index.html');
-const buildSite = async (id) => ssr.build(__dirname, id, dirs.sites.path, dirs.images.path);
+const buildSite = async (user, id) => ssr.build(user, __dirname, id, dirs.sites.path, dirs.images.path);
 const listBackups = () => fs.readdirSync(dirs.backups.path);
 const getBackupFilePath = (id) => {
   const filePath = path.join(dirs.backups.path, id);
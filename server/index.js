@@ -3,6 +3,7 @@ import nlp from './nlp.js';
 import db from './db.js';
 import { auth, login } from './auth.js';
 import host from './host.js';
+import workflow from './workflow.js';
 
 const app = host.setup();
 
@@ -73,20 +74,36 @@ app.post('/api/scheme', auth, async (req, res) => {
   res.json(await db.setScheme(req.user, req.body));
 });
 
-app.post('/api/tokens', auth, async (req, res) => {
-  const params = [
-    req.user, req.body.id, req.body.cls,
-    req.body.mode, req.body.uid, req.body.sid
-  ];
-  res.json(await db.processToken(...params));
+// the comments affected by the new scheme and its migrations, before it is set
+app.post('/api/scheme/preview', auth, async (req, res) => {
+  res.json(await db.previewScheme(req.body));
+});
+
+app.get('/api/schemes', auth, async (req, res) => {
+  res.json(await db.getSchemes(req.query.id));
+});
+
+// the references derived from the numbers of the strings follow the new scheme at once
+app.post('/api/refscheme', auth, async (req, res) => {
+  const data = await db.setRefscheme(req.user, req.body);
+  res.json(data?.id ? { ...data, renumbered: await nlp.renumberText(req.user, data.id) } : data);
 });
 
-app.get('/api/data', auth, async (req, res) => {
-  res.json(await db.getUntagged());
+app.get('/api/cite', auth, async (req, res) => {
+  res.json(await db.getCitation(req.query.id, req.query.citation));
+});
+
+app.post('/api/tokens', auth, async (req, res) => {
+  if (Array.isArray(req.body.tokens)) {
+    res.json(await db.tagTokens(req.user, req.body.text, req.body.tokens, req.body.cls));
+  } else {
+    const params = [req.user, req.body.id, req.body.cls, req.body.mode, req.body.sid];
+    res.json(await db.processToken(...params));
+  }
 });
 
-app.get('/api/strings', auth, async (req, res) => {
-  res.json(await db.getStrings());
+app.get('/api/untagged', auth, async (req, res) => {
+  res.json(await db.getUntagged(req.query.id));
 });
 
 app.get('/api/fullcomments/:id', auth, async (req, res) => {
@@ -105,6 +122,10 @@ app.post('/api/comment', auth, async (req, res) => {
   res.json(await db.setComment(req.user, req.body));
 });
 
+app.get('/api/backlinks', auth, async (req, res) => {
+  res.json(await db.checkCommentsForComment(req.query.id));
+});
+
 app.post('/api/tag', auth, async (req, res) => {
   res.json(await db.setTag(req.user, req.body.id, req.body.title));
 });
@@ -115,7 +136,19 @@ app.post('/api/issue', auth, async (req, res) => {
 });
 
 app.get('/api/grammar', auth, async (req, res) => {
-  res.json(await db.getGrammar());
+  res.json(await db.getGrammar(req.query.id));
+});
+
+app.get('/api/tagsets', auth, async (req, res) => {
+  res.json(await db.getTagsets());
+});
+
+app.post('/api/tagsets', auth, async (req, res) => {
+  res.json(await db.setTagset(req.user, req.body));
+});
+
+app.post('/api/tagsets/import', auth, async (req, res) => {
+  res.json(await db.importTagset(req.user, req.body));
 });
 
 app.get('/api/texts', auth, async (req, res) => {
@@ -131,10 +164,25 @@ app.get('/api/titles', auth, async (req, res) => {
   res.json(await db.getCommentsTitles(req.query.id, req.query.chunk));
 });
 
+app.get('/api/search', auth, async (req, res) => {
+  res.json(await db.search(req.query));
+});
+
+app.get('/api/concordance', auth, async (req, res) => {
+  res.json(await db.getConcordance(req.query));
+});
+
 app.post('/api/strings', auth, async (req, res) => {
   res.json(await db.setCommentForString(req.user, req.body));
 });
 
+app.post('/api/edit', auth, async (req, res) => {
+  if (req?.user?.privs > 5) {
+    return res.sendStatus(403);
+  }
+  return res.json(await nlp.editStrings(req.user, req.body));
+});
+
 app.post('/api/format', auth, async (req, res) => {
   res.json(await db.setFormatForString(req.user, req.body));
 });
@@ -163,6 +211,22 @@ app.post('/api/classes', auth, async (req, res) => {
   res.json(await db.setClass(req.user, req.body));
 });
 
+app.get('/api/rulesets', auth, async (req, res) => {
+  res.json(await db.getRulesets());
+});
+
+app.post('/api/rulesets', auth, async (req, res) => {
+  res.json(await db.setRuleset(req.user, req.body));
+});
+
+app.post('/api/normalize', auth, async (req, res) => {
+  res.json(await nlp.previewNormalization(req.body.id, req.body.ruleset, String(req.body.sample)));
+});
+
+app.post('/api/renormalize', auth, async (req, res) => {
+  res.json(await nlp.renormalizeText(req.user, req.body.id));
+});
+
 app.get('/api/textcomments', auth, async (req, res) => {
   res.json(await db.getTextComments(req.query.id));
 });
@@ -180,11 +244,29 @@ app.get('/api/tags', auth, async (req, res) => {
 });
 
 app.get('/api/conll', auth, async (req, res) => {
-  const corpus = await db.getCorpusAsConll();
-  const conll = nlp.convertToConll(corpus);
+  const [text] = Number(req.query.id) > 0 ? await db.getTexts(req.query.id) : [];
+  if (!text?.id) {
+    res.status(404).send('text not found');
+    return;
+  }
+  const [strings, tags] = await Promise.all([db.getText(text.id, true), db.getTextTagset(text.id, req.query.tagset)]);
+  const conll = nlp.convertToConll(text, strings, tags);
+  res.attachment(`text-${text.id}.conllu`);
+  res.type('text/plain; charset=utf-8');
   res.send(conll);
 });
 
+app.get('/api/frequency', auth, async (req, res) => {
+  const data = await db.getFrequencies(req.query.id, req.query.list, req.query.n);
+  if (req.query.format === 'csv') {
+    res.attachment(`text-${Number(req.query.id)}-${req.query.list || 'words'}.csv`);
+    res.type('text/csv; charset=utf-8');
+    res.send(nlp.convertToCSV(data.columns, data.rows));
+    return;
+  }
+  res.json(data);
+});
+
 app.get('/api/priority', auth, async (req, res) => {
   res.json(await db.getNextPriority(req.query.id));
 });
@@ -198,11 +280,84 @@ app.get('/api/source', auth, async (req, res) => {
 });
 
 app.get('/api/logs', auth, async (req, res) => {
-  res.json(await db.getLogs(req.query));
+  res.json(await db.getLogs(req.user, req.query));
 });
 
 app.get('/api/change', auth, async (req, res) => {
-  res.json(await db.getChange(req.query));
+  const change = await db.getChange(req.query);
+  if (change && !change.text_id && req?.user?.privs !== 1) {
+    return res.sendStatus(403);
+  }
+  return res.json(change);
+});
+
+app.get('/api/workflow', auth, async (req, res) => {
+  res.json(workflow.get(db.getSettingsState()?.workflow));
+});
+
+app.post('/api/state', auth, async (req, res) => {
+  res.json(await db.setCommentState(req.user, req.body.id, req.body.state));
+});
+
+app.get('/api/notes', auth, async (req, res) => {
+  res.json(await db.getNotes(req.query.comment));
+});
+
+app.post('/api/notes', auth, async (req, res) => {
+  res.json(await db.addNote(req.user, req.body));
+});
+
+app.post('/api/notes/resolve', auth, async (req, res) => {
+  res.json(await db.resolveNote(req.user, req.body.id, req.body.resolved));
+});
+
+app.get('/api/witnesses', auth, async (req, res) => {
+  res.json(await db.getWitnesses(req.query.id));
+});
+
+app.post('/api/witnesses', auth, async (req, res) => {
+  res.json(await db.setWitness(req.user, req.body));
+});
+
+app.post('/api/witnesses/collate', auth, async (req, res) => {
+  const content = typeof req.body.content === 'string' ? req.body.content : undefined;
+  res.json(await nlp.collateWitness(req.user, req.body.id, content, req.body.format));
+});
+
+app.get('/api/readings', auth, async (req, res) => {
+  res.json(await db.getReadings(req.query.id, req.query.witness));
+});
+
+app.post('/api/readings', auth, async (req, res) => {
+  res.json(await db.setReadingNote(req.user, req.body.id, req.body.note));
+});
+
+app.get('/api/parallels', auth, async (req, res) => {
+  res.json(await db.getParallels(req.query.id));
+});
+
+app.post('/api/parallels', auth, async (req, res) => {
+  res.json(await db.setParallel(req.user, req.body));
+});
+
+app.post('/api/parallels/align', auth, async (req, res) => {
+  res.json(await nlp.alignParallel(req.user, req.body.id, req.body.level));
+});
+
+app.get('/api/segments', auth, async (req, res) => {
+  res.json(await db.getSegments(req.query.id, req.query.level));
+});
+
+app.post('/api/segments', auth, async (req, res) => {
+  res.json(await nlp.linkParallel(req.user, req.body.id, req.body.level, req.body.source, req.body.target));
+});
+
+app.post('/api/segments/unlink', auth, async (req, res) => {
+  res.json(await nlp.unlinkParallel(req.user, req.body.id, req.body.level, req.body.segment));
+});
+
+app.post('/api/revert', auth, async (req, res) => {
+  res.json(await db.revertComment(req.user, req.body.id, req.body.version ?? 1));
 });
 
 app.get('/api/history', auth, async (req, res) => {
@@ -224,7 +379,7 @@ app.get('/api/registration', async (req, res) => {
 });
 
 app.post('/api/publish', auth, async (req, res) => {
-  res.json(await host.buildSite(req.body.id));
+  res.json(await host.buildSite(req.user, req.body.id));
 });
 
 app.delete('/api/:table/:id', auth, async (req, res) => {
@@ -233,7 +388,13 @@ app.delete('/api/:table/:id', auth, async (req, res) => {
     return res.sendStatus(403);
   }
   let result = {};
-  if (['comments'].includes(req.params.table)) {
+  if (req.params.table === 'comments') {
+    // the comment referenced by other comments is not deleted, they are returned instead
+    result = await db.checkCommentsForComment(req.params.id);
+    if (!result?.length) {
+      result = await db.deleteComment(req.user, req.params.id);
+    }
+  } else if (req.params.table === 'rulesets') {
     result = await db.deleteById(req.user, req.params.table, req.params.id);
   } else if (req.params.table === 'sources') {
     result = await db.checkCommentsForSource(req.params.id);
@@ -244,8 +405,16 @@ app.delete('/api/:table/:id', auth, async (req, res) => {
     result = await db.deleteClass(req.user, req.params.id);
   } else if (req.params.table === 'issues') {
     result = await db.deleteIssue(req.user, req.params.id);
+  } else if (req.params.table === 'notes') {
+    result = await db.deleteNote(req.user, req.params.id);
+  } else if (req.params.table === 'parallels') {
+    result = await db.deleteParallel(req.user, req.params.id);
+  } else if (req.params.table === 'witnesses') {
+    result = await db.deleteWitness(req.user, req.params.id);
   } else if (req.params.table === 'tags') {
     result = await db.deleteTag(req.user, req.params.id);
+  } else if (req.params.table === 'tagsets') {
+    result = await db.deleteTagset(req.user, req.params.id);
   }
   return res.json(result);
 });
@@ -309,9 +478,21 @@ app.get('/api/languages', auth, async (req, res) => {
 });
 
 app.post('/api/load', auth, async (req, res) => {
-  console.log(Object.entries(req.body).map((x) => `${x[0]}: ${x[0] === 'content' ? `${x[1].length} tokens` : x[1]}`).join(' • '));
-  const params = [req.user, req.body.id, req.body.content, req.body.lang, true];
-  res.json(await nlp.importText(...params));
+  console.log(Object.entries(req.body).map((x) => `${x[0]}: ${x[0] === 'content' ? `${x[1].length} ${typeof x[1] === 'string' ? 'chars' : 'tokens'}` : x[1]}`).join(' • '));
+  if (req.body.format === 'tei') {
+    const params = [req.user, req.body.id, req.body.content, true, Boolean(req.body.dry), Boolean(req.body.keep)];
+    res.json(await nlp.importTEI(...params));
+  } else if (req.body.format === 'conllu') {
+    const params = [req.user, req.body.id, req.body.content, true, Boolean(req.body.dry), Boolean(req.body.keep), req.body.pos];
+    res.json(await nlp.importConll(...params));
+  } else {
+    const params = [req.user, req.body.id, req.body.content, req.body.lang, true, Boolean(req.body.keep), Boolean(req.body.dry)];
+    res.json(await nlp.importText(...params));
+  }
+});
+
+app.post('/api/tokenize', auth, async (req, res) => {
+  res.json(await nlp.tokenizeText(req.body.id, String(req.body.content)));
 });
 
 app.get('/api/settings', auth, async (req, res) => {
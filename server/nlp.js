@@ -1,119 +1,520 @@
 import { load } from 'cheerio';
 import db from './db.js';
+import diff from './diff.js';
+import collation from './collation.js';
+import tokenizer from './tokenizer.js';
+import normalizer from './normalizer.js';
+import parallel from './parallel.js';
+import references from './references.js';
+import tagsets from './tagsets.js';
 
-const xpos2upos = {
-  vb: 'VERB',
-  vi: 'VERB',
-  vg: 'VERB',
-  nn: 'NOUN',
-  np: 'PROPN',
-  nb: 'X', // non Belarusian
-  nw: 'X', // non-word
-  part: 'PART',
-  nm: 'NUM',
-  aj: 'ADJ',
-  va: 'VERB', // "дзеепрыметнік"
-  av: 'ADV',
-  pn: 'PRON',
-  pp: 'ADP',
-  cj: 'CONJ',
-  intj: 'INTJ',
-  det: 'DET',
-  aux: 'AUX',
-  prad: 'ADV', // "займ. прысл"
-  mod: 'ADV', // "мадыфікатар"
-  ip: 'PUNCT',
+// CoNLL-U fields cannot contain tabs and newlines, and spaces are allowed only in FORM and LEMMA
+const escapeField = (value) => String(value ?? '').replace(/\s+/g, ' ').trim() || '_';
+
+// RFC 4180: the fields containing commas, quotes or line breaks are quoted, the quotes are doubled
+const escapeCSV = (value) => {
+  const field = String(value ?? '');
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
 };
 
-const sconj = ['што', 'калі', 'бо', 'то', 'хоць', 'дык', 'покі', 'каб', 'пакуль', 'або', 'таксама', 'нібы', 'затое', 'абы', 'нібыта', 'шчоб', 'быццам'];
+const parseMisc = (misc) => Object.fromEntries((misc || '').split('|')
+  .map((x) => x.split('='))
+  .filter(([key, value]) => key && value !== undefined));
 
-const cconj = ['а', 'і', 'але', 'ды', 'ні', 'дый', 'ці', 'прычым', 'аднак'];
+const formatMisc = (token, next) => {
+  const misc = [];
+  if (tokenizer.isGlued(token, next)) {
+    misc.push('SpaceAfter=No');
+  }
+  if (token.comments?.length) {
+    misc.push(`Comments=${token.comments.join(',')}`);
+  }
+  if (token.fmt?.length) {
+    misc.push(`Fmt=${token.fmt.join(',')}`);
+  }
+  if (token.ref) {
+    misc.push(`Ref=${escapeField(token.ref)}`);
+  }
+  return misc.length ? misc.join('|') : '_';
+};
 
 export default {
-  convertToConll(corpus) {
-    // console.log(corpus[0]);
-    // res.send('random.text');
-    const corpusCodeId = 'kolas-uph';
-    let result = '# newdoc\n';
-    let sentenceId = 0;
-    let stack = [];
-    for (let i = 0; i <= corpus.length; i++) {
-      if (i === corpus.length || corpus[i].s !== sentenceId) {
-        // console.log("--", sent_id,  corpus[i]["s"]);
-        // console.log(stack);
-
-        // # sent_id = telegraf-2011032001-3-1-be
-        const tokens = stack.filter((x) => x.cl !== 'ip').map((x) => x.v);
-        result += `# sent_id = ${corpusCodeId}-${sentenceId}-be\n`;
-        result += `# text = ${tokens.join(' ')}\n`;
-        result += '# genre = fiction\n';
-
-        for (let ii = 0; ii < stack.length; ii++) {
-          const xpos = stack[ii].cl;
-          let tag = xpos2upos[xpos];
-          if (tag === 'CONJ') {
-            if (sconj.includes(xpos)) {
-              tag = 'SCONJ';
-            }
-            if (cconj.includes(xpos)) {
-              tag = 'CCONJ';
-            }
+  // text is a row of `texts` table, strings are the rows of getText with grammar, tags are the rows of the text tagset
+  convertToConll(text, strings, tags) {
+    const tagset = tagsets.compile(tags);
+    const docId = `text-${text.id}`;
+    const header = [
+      `# newdoc id = ${docId}`,
+      ...[['title', text.title], ['author', text.author], ['lang', text.lang], ['url', text.url]]
+        .filter(([, value]) => value)
+        .map(([key, value]) => `# ${key} = ${escapeField(value)}`),
+    ];
+
+    const sentences = strings.reduce((acc, x) => {
+      const previous = acc[acc.length - 1];
+      if (previous?.s === x.s) {
+        previous.tokens.push(x);
+      } else {
+        acc.push({ p: x.p, s: x.s, tokens: [x] });
+      }
+      return acc;
+    }, []);
+
+    const blocks = sentences.map((sentence, index) => {
+      const lines = index ? [] : [...header];
+      if (sentences[index - 1]?.p !== sentence.p) {
+        lines.push(`# newpar id = ${docId}-p${sentence.p}`);
+      }
+      const { tokens } = sentence;
+      const spaces = tokens.map((x, i) => tokens[i + 1] && !tokenizer.isGlued(x, tokens[i + 1]));
+      lines.push(`# sent_id = ${docId}-${sentence.s}`);
+      lines.push(`# text = ${escapeField(tokens.map((x, i) => x.repr + (spaces[i] ? ' ' : '')).join(''))}`);
+      tokens.forEach((x, i) => {
+        const upos = tagsets.getUniversalTag(tagset, x.pos, x.meta, x.token ?? x.repr);
+        lines.push([i + 1, escapeField(x.repr), escapeField(x.lemma), upos, escapeField(x.pos), '_', '_', '_', '_', formatMisc(x, tokens[i + 1])].join('\t'));
+      });
+      return `${lines.join('\n')}\n\n`;
+    });
+
+    return blocks.join('') || `${header.join('\n')}\n\n`;
+  },
+  // columns are the keys of the rows, the header is prepended with BOM for spreadsheet applications
+  convertToCSV(columns, rows) {
+    const lines = [columns, ...rows.map((x) => columns.map((key) => x[key]))].map((x) => x.map(escapeCSV).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  },
+  // the elements matching the levels of the reference scheme give the values of the references: `n` attributes or their counts
+  processTEI(content, language, refscheme) {
+    const $ = load(content, { normalizeWhitespace: true, xmlMode: true });
+    const titles = $('teiHeader fileDesc titleStmt title');
+    const title = [titles.filter('[type="work"]'), titles.filter('[type="main"]'), titles]
+      .map((x) => x.first().text().trim()).find((x) => x) || '';
+    const author = ($('teiHeader fileDesc titleStmt author persName').first().text() || $('teiHeader fileDesc titleStmt author').first().text()).trim();
+
+    const tokens = [];
+    let [paragraph, sentence, numbering] = [0, 0, 0];
+    let isNewParagraph = true;
+    let speaker = null;
+    const { levels } = references.get(refscheme);
+    const [refs, counts] = [levels.map(() => null), levels.map(() => 0)];
+
+    // the selector of the scheme is entered by the user, the invalid one matches nothing
+    const isMatching = (elem, selector) => {
+      try {
+        return $(elem).is(selector);
+      } catch {
+        return false;
+      }
+    };
+
+    const getText = (elem) => $(elem).clone().find('note, speaker').remove()
+      .end()
+      .text()
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const addChunk = (chunk, line = null) => {
+      if (chunk) {
+        if (isNewParagraph) {
+          paragraph++;
+          isNewParagraph = false;
+        }
+        const lastToken = tokens[tokens.length - 1];
+        if (!lastToken || lastToken.p !== paragraph || tokenizer.isSentenceEnd(lastToken, language)) {
+          sentence++;
+        }
+        const result = tokenizer.tokenizeChunk(chunk, paragraph, sentence, language);
+        sentence = result.sentence;
+        tokens.push(...result.tokens.map((x) => ({
+          ...x, line, speaker, refs: [...refs]
+        })));
+      }
+    };
+
+    const walk = (elem) => {
+      $(elem).children().each((i, child) => {
+        const name = child.name.toLowerCase();
+        if (['note', 'speaker', 'teiheader'].includes(name)) {
+          return;
+        }
+        // the units of the lower levels are counted anew within the unit
+        const level = references.matchElement(refscheme, (selector) => isMatching(child, selector));
+        if (level > -1) {
+          const n = $(child).attr('n')?.trim();
+          counts[level] = /^\d+$/.test(n) ? Number(n) : counts[level] + 1;
+          refs[level] = n || String(counts[level]);
+          refs.fill(null, level + 1);
+          counts.fill(0, level + 1);
+        }
+        if (name === 'sp') {
+          isNewParagraph = true;
+          speaker = $(child).attr('who')?.replace(/^#/, '') || $(child).find('>speaker').text().trim() || null;
+          walk(child);
+          speaker = null;
+          isNewParagraph = true;
+        } else if (name === 'l') {
+          const num = parseInt($(child).attr('n'), 10);
+          numbering = Number.isNaN(num) ? numbering + 1 : num;
+          addChunk(getText(child), numbering);
+        } else if (['p', 'stage', 'head', 'ab'].includes(name) && !$(child).find('l').length) {
+          isNewParagraph = true;
+          addChunk(getText(child));
+          isNewParagraph = true;
+        } else {
+          if (name === 'lg' || /^div\d?$/.test(name)) {
+            isNewParagraph = true;
           }
+          walk(child);
+        }
+        if (level > -1) {
+          refs.fill(null, level);
+        }
+      });
+    };
+
+    walk($('text body').first());
+
+    return {
+      author,
+      title,
+      paragraphs: paragraph,
+      sentences: sentence,
+      tokens,
+    };
+  },
+  // pre-tagged corpora, see https://universaldependencies.org/format.html
+  // the part of speech is taken from UPOS (lowercased to match `ud` tagset) or XPOS column
+  processConll(content, posField = 'upos') {
+    const tokens = [];
+    const info = {};
+    let [paragraph, sentence] = [0, 0];
+    let [isNewParagraph, isNewSentence] = [true, true];
+    let range = null;
 
-          result += `${ii + 1}\t${stack[ii].repr}\t${stack[ii].utoken}\t${tag}\t${xpos.toUpperCase()}\n`;
+    const getValue = (value) => (value && value !== '_' ? value : null);
+
+    String(content).split('\n').map((x) => x.trim()).forEach((row) => {
+      if (!row) {
+        isNewSentence = true;
+        return;
+      }
+      if (row.startsWith('#')) {
+        const [, key, value] = row.match(/^#\s*([\w.]+)\s*(?:=\s*(.*))?$/) || [];
+        if (key === 'newdoc' || key === 'newpar') {
+          isNewParagraph = true;
+        } else if ((key === 'title' || key === 'author') && value && !info[key]) {
+          info[key] = value.trim();
         }
+        return;
+      }
 
-        if (i !== corpus.length) {
-          sentenceId = corpus[i].s;
-          stack = [];
+      const [id, form, lemma, upos, xpos, , , , , misc] = row.split('\t');
+      // empty nodes of enhanced dependencies are not tokens
+      if (!form || id.includes('.')) {
+        return;
+      }
+      if (isNewSentence) {
+        if (isNewParagraph) {
+          paragraph++;
+          isNewParagraph = false;
         }
+        sentence++;
+        isNewSentence = false;
+        range = null;
+      }
+
+      const pos = getValue(posField === 'xpos' ? xpos : upos?.toLowerCase());
+      const [start, end] = id.split('-').map(Number);
+      // the syntactic words of a multiword token share the string of the token
+      if (range && start <= range.end) {
+        range.token.pos = [range.token.pos, pos].filter((x) => x).join('+') || null;
+        range.token.lemma = [range.token.lemma, getValue(lemma)].filter((x) => x).join('+') || null;
+        return;
+      }
+
+      const fields = parseMisc(misc);
+      const token = {
+        p: paragraph,
+        s: sentence,
+        form,
+        repr: form,
+        meta: upos === 'PUNCT' ? 'ip' : 'word',
+        pos: end ? null : pos,
+        lemma: end ? null : getValue(lemma),
+        spaceafter: fields.SpaceAfter !== 'No',
+        ...(fields.Fmt && { fmt: fields.Fmt.split(',') }),
+        ...(fields.Ref && { ref: fields.Ref }),
+      };
+      range = end ? { end, token } : null;
+      tokens.push(token);
+    });
+
+    return {
+      ...info, paragraphs: paragraph, sentences: sentence, tokens
+    };
+  },
+  async importConll(user, id, content, isWeb, dryRun, keep, posField) {
+    const textId = Number(id);
+    const [textInfo] = textId ? await db.getTexts(textId) : [];
+    const language = textInfo?.lang?.split('-').shift();
+    const { tokens, ...info } = this.processConll(content, posField);
+    const result = { ...info, tokens: tokens.length };
+    if (textInfo && tokens.length) {
+      Object.assign(result, await this.importTokens(user, textId, tokens, language, isWeb, dryRun, keep));
+      if (result.secs) {
+        await db.setTextTitle(user, textId, info.author, info.title);
       }
-      stack.push(corpus[i]);
     }
     return result;
   },
-  processTEI(content, format) {
-    const $ = load(content, { normalizeWhitespace: true, xmlMode: true });
-    const title = $('TEI teiHeader fileDesc titleStmt title[type="work"]').text();
-    const author = $('TEI teiHeader fileDesc titleStmt author persName').text();
-
-    console.log(title, author);
-    let numbering = 0;
-    $('TEI text body > div1').each((i, elem) => {
-      // console.log(i, elem.name);
-      $(elem).children().each((i2, lvl2) => {
-        if (lvl2.name === 'sp') {
-          const attr = $(lvl2).attr('who');
-          // console.log(i2, lvl2.name);
-          const speaker = $(lvl2).find('>speaker');
-          console.log(attr, speaker.text());
-          $(lvl2).children().each((i3, lvl3) => {
-            // console.log(lvl3.name);
-            if (lvl3.name === 'l') {
-              const num = $(lvl3).attr('n');
-              if (num) {
-                numbering = num;
-              } else {
-                numbering++;
-              }
-
-              console.log(`${numbering}: ${$(lvl3).text()}`);
-            }
-          });
-        }
-      });
-    });
-    return format;
+  async importTEI(user, id, content, isWeb, dryRun, keep) {
+    const textId = Number(id);
+    const [textInfo] = textId ? await db.getTexts(textId) : [];
+    const language = textInfo?.lang?.split('-').shift();
+    const { tokens, ...info } = this.processTEI(content, language, textInfo?.refscheme);
+    const result = { ...info, tokens: tokens.length };
+    if (textInfo && tokens.length) {
+      Object.assign(result, await this.importTokens(user, textId, tokens, language, isWeb, dryRun, keep));
+      if (result.secs) {
+        await db.setTextTitle(user, textId, info.author, info.title);
+      }
+    }
+    return result;
+  },
+  async tokenizeText(id, content) {
+    const [textInfo] = Number(id) ? await db.getTexts(Number(id)) : [];
+    return tokenizer.tokenize(content, textInfo?.lang?.split('-').shift());
   },
-  async importText(user, id, content, language, isWeb) {
+  // content is either a raw text or an array of tokens prepared by the client
+  async importText(user, id, content, lang, isWeb, keep, dryRun) {
     const textId = Number(id);
-    if (textId) {
+    const [textInfo] = textId ? await db.getTexts(textId) : [];
+    const language = textInfo?.lang?.split('-').shift() || lang;
+    const { tokens, ...info } = typeof content === 'string' ? tokenizer.tokenize(content, language) : { tokens: content };
+    const result = { ...info, tokens: tokens.length };
+    if (textInfo && tokens.length) {
+      Object.assign(result, await this.importTokens(user, textId, tokens, language, isWeb, dryRun, keep));
+    }
+    return result;
+  },
+  async importTokens(user, textId, rawTokens, language, isWeb, dryRun, keep) {
+    const [textInfo] = await db.getTexts(textId);
+    const tokens = references.assign(textInfo?.refscheme, normalizer.normalize(await db.getTextRuleset(textId, language), rawTokens));
+    let result = {};
+    if (keep) {
+      result = await this.reimportTokens(user, textId, tokens, language, isWeb, dryRun);
+    } else if (!dryRun) {
+      const rows = await db.getText(textId);
       await db.deleteFromStrings(textId);
-      const result = await db.insertBatchIntoStrings(textId, content, language, isWeb);
+      result.secs = await db.insertBatchIntoStrings(textId, tokens, language, isWeb);
+      if (result.secs) {
+        result.links = await db.remapTokenSegments(user, textId, Object.fromEntries(rows.map((x) => [x.id, []])));
+      }
+    }
+    if (result.secs) {
       await db.setTextLoaded(textId);
-      return result;
+      const op = 'import';
+      const data1 = {
+        text_id: textId, op, tokens: tokens.length, keep: Boolean(keep)
+      };
+      await db.log(user, 'texts', textId, { text_id: textId, op }, data1);
+      await this.collateWitnesses(user, textId);
+      await this.realignParallels(user, textId);
+    }
+    return result;
+  },
+  // regenerates representations of the text strings after its rule set was changed
+  async renormalizeText(user, id) {
+    const textId = Number(id);
+    const [textInfo] = textId ? await db.getTexts(textId) : [];
+    if (!textInfo) {
+      return {};
+    }
+    const language = textInfo.lang.split('-').shift();
+    const rows = await db.getText(textId);
+    const tokens = normalizer.normalize(await db.getTextRuleset(textId, language), rows);
+    const changed = tokens.filter((x, i) => x.repr !== rows[i].repr || x.raw !== rows[i].raw || x.token !== rows[i].token);
+    const secs = await db.setStringsNormalization(textId, language, changed);
+    if (secs) {
+      const op = 'normalize';
+      await db.log(user, 'texts', textId, { text_id: textId, op }, { text_id: textId, op, tokens: changed.length });
+      await this.collateWitnesses(user, textId);
+    }
+    return { changed: changed.length, secs };
+  },
+  // the references derived from the numbers of the strings are set anew after the scheme was changed
+  // the ones taken from TEI elements need the text to be imported again
+  async renumberText(user, id) {
+    const textId = Number(id);
+    const [textInfo] = textId ? await db.getTexts(textId) : [];
+    if (!textInfo) {
+      return { error: 'text does not exist' };
+    }
+    if (!references.isDerived(textInfo.refscheme)) {
+      return { error: 'the references are taken from TEI elements, the text should be imported again' };
+    }
+    const rows = await db.getText(textId);
+    const refs = references.assign(textInfo.refscheme, rows).map((x) => ({ id: x.id, ref: x.ref }));
+    return db.setStringsRefs(user, textId, refs);
+  },
+  // the witness is compared with the text word by word, see collation.js
+  // without new content the stored one is collated again, e.g. after the text was re-imported
+  async collateWitness(user, id, content, format) {
+    const witness = await db.getWitness(id);
+    if (!witness) {
+      return { error: 'witness does not exist' };
+    }
+    const isNew = typeof content === 'string';
+    const source = isNew ? content : witness.content;
+    const sourceFormat = isNew ? ['tei', 'text'].find((x) => x === format) || 'text' : witness.format;
+    if (!source) {
+      return { error: 'witness has no content' };
+    }
+    const [textInfo] = await db.getTexts(witness.text_id);
+    const language = textInfo.lang.split('-').shift();
+    const { tokens: rawTokens } = sourceFormat === 'tei' ? this.processTEI(source, language) : tokenizer.tokenize(source, language);
+    const ruleset = await db.getTextRuleset(witness.text_id, language);
+    const words = normalizer.normalize(ruleset, rawTokens).filter((x) => x.meta === 'word');
+    const rows = (await db.getText(witness.text_id)).filter((x) => x.meta === 'word');
+    if (!rows.length || !words.length) {
+      return { error: 'text or witness has no words' };
+    }
+    const previous = await db.getReadings(witness.text_id, witness.id);
+    const { readings, same, exhaustive } = collation.collate(rows, words, previous);
+    if (!exhaustive) {
+      return { error: 'witness differs from the text too much to be collated' };
+    }
+    // the words are kept to collate the witness again after the text is edited
+    const result = await db.setWitnessReadings(user, witness.id, source, sourceFormat, readings, words.map(({ form, repr }) => ({ form, repr })));
+    return { ...result, same, words: words.length };
+  },
+  // the witnesses are collated again with the edited text, the ones collated before their words were kept need their content
+  async editStrings(user, params) {
+    const result = await db.editStrings(user, params);
+    /* eslint-disable-next-line no-restricted-syntax */
+    for (const witnessId of result.witnesses?.stale ?? []) {
+      /* eslint-disable-next-line no-await-in-loop */
+      await this.collateWitness(user, witnessId);
+    }
+    return result;
+  },
+  // the pair is aligned by the lengths of the paragraphs or the sentences, the manual segments are kept as anchors
+  async alignParallel(user, id, level, anchors) {
+    const pair = await db.getParallel(id);
+    if (!pair || !['p', 's'].includes(level)) {
+      return { error: 'pair or level does not exist' };
     }
-    return {};
+    const [source, target] = await Promise.all([db.getTextUnits(pair.text_id, level), db.getTextUnits(pair.translation_id, level)]);
+    const manual = anchors ?? (await db.getSegments(pair.id, level)).filter((x) => x.manual);
+    const segments = level === 'p'
+      ? parallel.alignUnits(source, target, manual)
+      : parallel.alignSentences(source, target, await db.getSegments(pair.id, 'p'), manual);
+    const result = await db.setSegments(user, pair.id, level, segments);
+    // the sentences follow the paragraphs they belong to
+    if (level === 'p' && !result.error && (await db.getSegments(pair.id, 's')).length) {
+      result.sentences = (await this.alignParallel(user, pair.id, 's')).segments;
+    }
+    return result;
+  },
+  // the manual link replaces the segments it overlaps, the rest of the level is aligned anew around the manual ones
+  async linkParallel(user, id, level, source, target) {
+    const [units1, units2] = [source, target].map((x) => (Array.isArray(x) ? x.map(Number) : []));
+    if (!units1.length || !units2.length) {
+      return { error: 'both texts should have units selected' };
+    }
+    const segments = await db.getSegments(id, level);
+    const overlaps = (x) => x.source.some((u) => units1.includes(u)) || x.target.some((u) => units2.includes(u));
+    const link = { source: units1, target: units2, manual: true };
+    if (level === 'token') {
+      return db.setSegments(user, id, level, [...segments.filter((x) => !overlaps(x)), link]);
+    }
+    const pair = await db.getParallel(id);
+    const blocks = pair ? await db.getSegments(pair.id, 'p') : [];
+    if (level === 's' && blocks.length) {
+      const [sentences1, sentences2] = await Promise.all([db.getTextUnits(pair.text_id, 's'), db.getTextUnits(pair.translation_id, 's')]);
+      const [paragraphs1, paragraphs2] = [sentences1, sentences2].map((x) => Object.fromEntries(x.map((u) => [u.unit, u.p])));
+      const isInside = (block) => units1.every((u) => block.source.includes(paragraphs1[u])) && units2.every((u) => block.target.includes(paragraphs2[u]));
+      if (!blocks.some(isInside)) {
+        return { error: 'the sentences belong to different aligned paragraphs, link the paragraphs first' };
+      }
+    }
+    return this.alignParallel(user, id, level, [...segments.filter((x) => x.manual && !overlaps(x)), link]);
+  },
+  // after the import the paragraphs and the sentences of the aligned pairs are aligned again
+  // the links of the tokens are not realigned, they follow the kept strings (see reimportTokens)
+  async realignParallels(user, textId) {
+    const pairs = await db.getParallels(textId);
+    /* eslint-disable-next-line no-restricted-syntax */
+    for (const pair of pairs.filter((x) => x.segments?.p)) {
+      /* eslint-disable-next-line no-await-in-loop */
+      await this.alignParallel(user, pair.id, 'p');
+    }
+  },
+  async unlinkParallel(user, id, level, segmentId) {
+    const segments = (await db.getSegments(id, level)).filter((x) => x.id !== Number(segmentId));
+    return level === 'token' ? db.setSegments(user, id, level, segments) : this.alignParallel(user, id, level, segments.filter((x) => x.manual));
+  },
+  async collateWitnesses(user, textId) {
+    const witnesses = await db.getWitnesses(textId);
+    /* eslint-disable-next-line no-restricted-syntax */
+    for (const witness of witnesses.filter((x) => x.size)) {
+      /* eslint-disable-next-line no-await-in-loop */
+      await this.collateWitness(user, witness.id);
+    }
+  },
+  async previewNormalization(id, ruleset, sample) {
+    const error = normalizer.validate(ruleset);
+    if (error) {
+      return { error };
+    }
+    const { tokens } = await this.tokenizeText(id, sample);
+    return normalizer.normalize(ruleset, tokens).filter((x) => x.meta === 'word').map(({ raw, repr, token }) => ({ raw, repr, token }));
+  },
+  // replaces the token stream of the text, the tokens that survived keep their strings with comments and formatting
+  // only the added tokens get new strings, the ids of the kept ones stay the same
+  async reimportTokens(user, textId, tokens, language, isWeb, dryRun) {
+    const rows = await db.getText(textId, true);
+    const { mapping, ...stats } = diff.align(rows, tokens, (x) => x.repr);
+
+    const batch = tokens.map(({ id, ...item }, i) => {
+      const row = rows[mapping[i]];
+      return row ? {
+        ...item, id: row.id, comments: row.comments, fmt: item.fmt ?? row.fmt, unit_id: row.repr === item.repr ? row.uid : null
+      } : item;
+    });
+
+    const carried = new Set(batch.flatMap((x) => x.comments || []));
+    const matched = new Set(mapping);
+    const lost = {};
+    rows.forEach((row, i) => {
+      if (!matched.has(i)) {
+        row.comments.forEach((commentId) => {
+          lost[commentId] = [...(lost[commentId] || []), {
+            id: row.id, p: row.p, s: row.s, form: row.form
+          }];
+        });
+      }
+    });
+
+    const titles = Object.fromEntries((await db.getTextComments(textId)).map((x) => [x.id, x.title]));
+    const orphans = Object.entries(lost).map(([commentId, strings]) => ({
+      id: Number(commentId),
+      title: titles[commentId],
+      // the comment is still bound to some tokens of the new text
+      partial: carried.has(Number(commentId)),
+      strings,
+    }));
+
+    const result = { ...stats, orphans };
+    if (!dryRun) {
+      result.secs = await db.insertBatchIntoStrings(textId, batch, language, isWeb, true);
+    }
+    // the links of the removed strings to the translations are lost
+    if (dryRun || result.secs) {
+      const removed = Object.fromEntries(rows.filter((x, i) => !matched.has(i)).map((x) => [x.id, []]));
+      result.links = await db.remapTokenSegments(user, textId, removed, dryRun);
+    }
+    return result;
   },
   getLanguages(locs, userInput) {
     let matches = [];
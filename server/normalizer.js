@@ -0,0 +1,77 @@
+// normalisation of tokens between the surface form and the representation
+// a rule set is a row of `rulesets` table: ordered regex replacements, an orthography mapping and case folding
+
+// the spelling rules of text2db.py, applied to Belarusian tokens before counting them
+export const belarusianRuleset = {
+  title: 'Belarusian orthography (text2db.py)',
+  casefold: true,
+  rules: [
+    { pattern: '(?<=[знлцс])ь(?=[яюёе])', replacement: '’', flags: 'gu' },
+    { pattern: '(?<=[знс])ь(?=[пвнцл])', replacement: '', flags: 'gu' },
+    { pattern: '(?<=(.))ь(?=\\1)', replacement: '', flags: 'gu' },
+    { pattern: '^зь$', replacement: 'з', flags: 'iu' },
+    { pattern: '^бязь?$', replacement: 'без', flags: 'iu' },
+    { pattern: '^ў', replacement: 'у', flags: 'u' },
+    { pattern: '^Ў', replacement: 'У', flags: 'u' },
+  ],
+  mapping: {
+    'алілу-у-у-я': 'алілуя',
+    'г-э-э-э': 'гэ',
+    'а-а': 'а',
+    'га-а': 'га',
+    'крэсці-ісь-це-сяяя': 'крэсцісцеся',
+    'н-не': 'не',
+    'ніко-о-олі': 'ніколі',
+    'о-о-о': 'о',
+    'тра-ля-ля-ля': 'тра-ля-ля',
+    'ха-ха': 'ха',
+    'ха-ха-ха': 'ха',
+    'ха-ха-ха-ха': 'ха',
+  },
+};
+
+// case insensitive rules and the mapping should not lose the capital letter of the token
+const capitalize = (sample, word) => (sample[0] !== sample[0].toLowerCase() ? word[0].toUpperCase() + word.slice(1) : word);
+
+export default {
+  // returns error message for the first invalid rule
+  validate(ruleset) {
+    const rules = ruleset?.rules || [];
+    if (!Array.isArray(rules)) {
+      return 'rules should be a list';
+    }
+    const invalid = rules.map((x, i) => {
+      try {
+        RegExp(x?.pattern, x?.flags ?? 'gu');
+        return x?.pattern ? '' : `rule ${i + 1}: empty pattern`;
+      } catch (error) {
+        return `rule ${i + 1}: ${error.message}`;
+      }
+    }).find((x) => x);
+    return invalid || '';
+  },
+  compile(ruleset) {
+    return {
+      casefold: Boolean(ruleset?.casefold),
+      rules: (ruleset?.rules || []).map((x) => ({ regex: RegExp(x.pattern, x.flags ?? 'gu'), replacement: x.replacement ?? '' })),
+      mapping: Object.fromEntries(Object.entries(ruleset?.mapping || {}).map(([k, v]) => [k.toLowerCase(), v])),
+    };
+  },
+  // returns the representation of a word and its key in the vocabulary (`tokens` table)
+  apply(compiled, raw, meta = 'word') {
+    let repr = raw;
+    if (meta === 'word' && raw) {
+      repr = compiled.rules.reduce((acc, x) => acc.replace(x.regex, x.replacement), raw) || raw;
+      repr = capitalize(raw, compiled.mapping[repr.toLowerCase()] || repr);
+    }
+    return { repr, token: compiled.casefold ? repr.toLowerCase() : repr };
+  },
+  // the tokens keep the output of the tokenizer as `raw` to make normalisation re-applicable
+  normalize(ruleset, tokens) {
+    const compiled = this.compile(ruleset);
+    return tokens.map((x) => {
+      const raw = x.raw ?? x.repr;
+      return { ...x, raw, ...this.apply(compiled, raw, x.meta) };
+    });
+  },
+};
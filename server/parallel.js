@@ -0,0 +1,124 @@
+// alignment of parallel texts (an original and its translation) by the lengths of their paragraphs and sentences
+// Gale & Church, A Program for Aligning Sentences in Bilingual Corpora, 1993
+
+// the variance of the length ratio and the prior probabilities of the beads are taken from the paper
+const variance = 6.8;
+const beads = [[1, 1, 0.89], [1, 0, 0.0099 / 2], [0, 1, 0.0099 / 2], [2, 1, 0.089 / 2], [1, 2, 0.089 / 2], [2, 2, 0.011]];
+
+// the path is searched near the diagonal only, so that long texts fit in memory
+const minBand = 30;
+
+// standard normal distribution function, Abramowitz and Stegun 26.2.17
+const normal = (z) => {
+  const t = 1 / (1 + 0.2316419 * z);
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return 1 - (Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI)) * poly;
+};
+
+const beadCost = (ratio, l1, l2, prior) => {
+  const mean = (l1 + l2 / ratio) / 2;
+  const z = mean ? Math.abs(ratio * l1 - l2) / Math.sqrt(variance * mean) : 0;
+  const probability = Math.max(2 * (1 - normal(z)), Number.MIN_VALUE);
+  return -Math.log(probability) - Math.log(prior);
+};
+
+const prefixSums = (lengths) => lengths.reduce((acc, x) => {
+  acc.push(acc[acc.length - 1] + x);
+  return acc;
+}, [0]);
+
+// returns the beads as lists of the indices of source and target lengths
+const alignLengths = (source, target) => {
+  const [n, m] = [source.length, target.length];
+  if (!n || !m) {
+    return [...source.map((_, i) => ({ source: [i], target: [] })), ...target.map((_, j) => ({ source: [], target: [j] }))];
+  }
+  const [sums1, sums2] = [prefixSums(source), prefixSums(target)];
+  const ratio = sums2[m] / sums1[n] || 1;
+  const band = Math.max(minBand, Math.ceil(Math.max(n, m) / 10), Math.ceil(m / n) + 2);
+  const width = 2 * band + 1;
+  const center = (i) => Math.round((i * m) / n);
+  const cell = (i, j) => {
+    const shift = j - center(i) + band;
+    return shift >= 0 && shift < width ? i * width + shift : -1;
+  };
+  const costs = new Float64Array((n + 1) * width).fill(Infinity);
+  const moves = new Int8Array((n + 1) * width).fill(-1);
+  costs[cell(0, 0)] = 0;
+
+  for (let i = 0; i <= n; i += 1) {
+    for (let j = Math.max(0, center(i) - band); j <= Math.min(m, center(i) + band); j += 1) {
+      const here = cell(i, j);
+      beads.forEach(([di, dj, prior], move) => {
+        const previous = i >= di && j >= dj ? cell(i - di, j - dj) : -1;
+        if (previous >= 0 && costs[previous] < Infinity) {
+          const cost = costs[previous] + beadCost(ratio, sums1[i] - sums1[i - di], sums2[j] - sums2[j - dj], prior);
+          if (cost < costs[here]) {
+            costs[here] = cost;
+            moves[here] = move;
+          }
+        }
+      });
+    }
+  }
+
+  const result = [];
+  let [i, j] = [n, m];
+  while (i || j) {
+    const [di, dj] = beads[moves[cell(i, j)]];
+    const [from1, from2] = [i - di, j - dj];
+    result.push({
+      source: Array.from({ length: di }, (_, k) => from1 + k),
+      target: Array.from({ length: dj }, (_, k) => from2 + k),
+    });
+    [i, j] = [from1, from2];
+  }
+  return result.reverse();
+};
+
+// units are {unit, length} in the order of the text, the manual beads (anchors) are kept and the rest is aligned between them
+const alignUnits = (source, target, anchors = []) => {
+  const result = [];
+  const [sourceIndex, targetIndex] = [source, target].map((units) => Object.fromEntries(units.map((x, i) => [x.unit, i])));
+  let [x, y] = [0, 0];
+  const fill = (i, j) => {
+    const [a, b] = [source.slice(x, i), target.slice(y, j)];
+    alignLengths(a.map((u) => u.length), b.map((u) => u.length)).forEach((bead) => result.push({
+      source: bead.source.map((k) => a[k].unit), target: bead.target.map((k) => b[k].unit), manual: false
+    }));
+  };
+
+  anchors
+    .map((anchor) => {
+      const [i, j] = [anchor.source.map((u) => sourceIndex[u]), anchor.target.map((u) => targetIndex[u])];
+      return { anchor, from: [Math.min(...i), Math.min(...j)], to: [Math.max(...i) + 1, Math.max(...j) + 1] };
+    })
+    .filter(({ from, to }) => from.every(Number.isInteger) && to.every(Number.isInteger))
+    .sort((a, b) => a.from[0] - b.from[0])
+    .forEach(({ from, to }) => {
+      // the anchors crossing the previous ones are dropped
+      if (from[0] >= x && from[1] >= y) {
+        fill(from[0], from[1]);
+        result.push({ source: source.slice(from[0], to[0]).map((u) => u.unit), target: target.slice(from[1], to[1]).map((u) => u.unit), manual: true });
+        [x, y] = to;
+      }
+    });
+  fill(source.length, target.length);
+  return result;
+};
+
+export default {
+  alignUnits,
+  // the sentences are aligned within the aligned paragraphs (blocks), the units have the paragraph number `p`
+  alignSentences(source, target, blocks, anchors = []) {
+    if (!blocks.length) {
+      return alignUnits(source, target, anchors);
+    }
+    return blocks.flatMap((block) => {
+      const [a, b] = [source.filter((x) => block.source.includes(x.p)), target.filter((x) => block.target.includes(x.p))];
+      const [units1, units2] = [new Set(a.map((x) => x.unit)), new Set(b.map((x) => x.unit))];
+      const inside = anchors.filter((x) => x.source.every((u) => units1.has(u)) && x.target.every((u) => units2.has(u)));
+      return alignUnits(a, b, inside);
+    });
+  },
+};
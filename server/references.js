@@ -0,0 +1,86 @@
+// canonical references of the strings: hierarchical citations like act.scene.line or book.chapter.verse
+// a level takes its values from the TEI elements matching its selector (the `n` attribute, or they are counted),
+// or from the numbers of the strings: paragraph (#p), sentence (#s) or verse line (#line)
+
+const derivedLevels = { '#p': 'p', '#s': 's', '#line': 'line' };
+
+// the margin numbers are shown for every `step`th value of the last level, and at the start of the units of the upper ones
+export const defaultRefscheme = { levels: [], separator: '.', step: 5 };
+
+const getRefscheme = (refscheme) => ({ ...defaultRefscheme, ...(refscheme || {}) });
+
+const isNumber = (x) => /^\d+$/.test(x);
+const compareParts = (a, b) => (isNumber(a) && isNumber(b) ? Number(a) - Number(b) : String(a).localeCompare(String(b)));
+
+// compares the reference with the bound of the range on the length of the bound, so that `1.2` includes `1.2.15`
+const compareWithBound = (parts, bound) => bound.reduce((acc, x, i) => acc || compareParts(parts[i] ?? '', x), 0);
+
+export default {
+  get: getRefscheme,
+  // returns error message for the first invalid level
+  validate(refscheme) {
+    const { levels, separator, step } = getRefscheme(refscheme);
+    if (!Array.isArray(levels)) {
+      return 'levels should be a list';
+    }
+    if (!separator || /[\s–—-]/.test(separator)) {
+      return 'separator should not be empty, a space or a dash';
+    }
+    if (!Number.isInteger(Number(step)) || Number(step) < 1) {
+      return 'step of margin numbers should be a positive integer';
+    }
+    const invalid = levels.find((x) => !x?.title?.trim() || !x?.source?.trim());
+    return invalid ? `level ${levels.indexOf(invalid) + 1} should have title and source` : '';
+  },
+  isDerived(refscheme) {
+    return getRefscheme(refscheme).levels.every((x) => derivedLevels[x.source]);
+  },
+  // the index of the level that the TEI element starts, or -1
+  matchElement(refscheme, isMatching) {
+    return getRefscheme(refscheme).levels.findIndex((x) => !derivedLevels[x.source] && isMatching(x.source));
+  },
+  // fills `ref` of the tokens, the values of TEI levels are in `refs` of the tokens, the reference ends before the first level without value
+  // the tokens imported with references (CoNLL-U) keep them, if the scheme gives nothing
+  assign(refscheme, tokens) {
+    const { levels, separator } = getRefscheme(refscheme);
+    return tokens.map(({ refs, ...token }) => {
+      const values = levels.map((x, i) => (derivedLevels[x.source] ? token[derivedLevels[x.source]] : refs?.[i]));
+      const missing = values.findIndex((x) => x === null || x === undefined || x === '');
+      const ref = values.slice(0, missing === -1 ? values.length : missing).join(separator);
+      return { ...token, ref: ref || token.ref || null };
+    });
+  },
+  // `1.2.15–18` is the range from `1.2.15` to `1.2.18`, `1.2–3.1` is from `1.2` to `3.1`
+  parse(citation, separator) {
+    const [start, end = start] = String(citation ?? '').trim().split(/\s*[–—-]\s*/);
+    if (!start || !end) {
+      return null;
+    }
+    const [startParts, endParts] = [start, end].map((x) => x.split(separator).map((part) => part.trim()));
+    const shift = Math.max(startParts.length - endParts.length, 0);
+    return { start: startParts, end: [...startParts.slice(0, shift), ...endParts] };
+  },
+  contains(ref, range, separator) {
+    const parts = String(ref ?? '').split(separator);
+    return Boolean(ref) && compareWithBound(parts, range.start) >= 0 && compareWithBound(parts, range.end) <= 0;
+  },
+  // the range of the first and the last reference, the common beginning is not repeated
+  formatRange(first, last, separator) {
+    if (!first || !last || first === last) {
+      return first || last || null;
+    }
+    const [a, b] = [first, last].map((x) => x.split(separator));
+    const common = a.length === b.length ? a.findIndex((x, i) => x !== b[i]) : 0;
+    return `${first}–${b.slice(common).join(separator)}`;
+  },
+  // the reference is shown in the margin if an upper level changes or the last one is a multiple of the step
+  isMarginal(refscheme, ref, previous) {
+    const { separator, step } = getRefscheme(refscheme);
+    if (!ref || ref === previous) {
+      return false;
+    }
+    const [parts, previousParts] = [ref, previous || ''].map((x) => x.split(separator));
+    const last = parts[parts.length - 1];
+    return parts.slice(0, -1).join(separator) !== previousParts.slice(0, -1).join(separator) || !isNumber(last) || Number(last) % Number(step) === 0;
+  },
+};
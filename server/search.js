@@ -0,0 +1,47 @@
+// full-text search: PostgreSQL text search configurations for the languages of the texts
+// the languages without stemming dictionaries (e.g. Belarusian) are searched with the `simple` configuration
+
+const configurations = {
+  ar: 'arabic',
+  ca: 'catalan',
+  da: 'danish',
+  de: 'german',
+  el: 'greek',
+  en: 'english',
+  es: 'spanish',
+  eu: 'basque',
+  fi: 'finnish',
+  fr: 'french',
+  ga: 'irish',
+  hi: 'hindi',
+  hu: 'hungarian',
+  hy: 'armenian',
+  id: 'indonesian',
+  it: 'italian',
+  lt: 'lithuanian',
+  nb: 'norwegian',
+  ne: 'nepali',
+  nl: 'dutch',
+  nn: 'norwegian',
+  no: 'norwegian',
+  pt: 'portuguese',
+  ro: 'romanian',
+  ru: 'russian',
+  sr: 'serbian',
+  sv: 'swedish',
+  ta: 'tamil',
+  tr: 'turkish',
+  yi: 'yiddish',
+};
+
+// the matches in the snippets are wrapped into control characters, so that the snippets are never treated as markup
+const [startSel, stopSel] = ['\u0002', '\u0003'];
+
+export default {
+  // the configurations available depend on PostgreSQL version, they are listed in `pg_ts_config`
+  getConfig(lang, available) {
+    const config = configurations[String(lang || '').split('-').shift().toLowerCase()];
+    return available.includes(config) ? config : 'simple';
+  },
+  headline: `MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … ", StartSel=${startSel}, StopSel=${stopSel}`,
+};
@@ -2,6 +2,9 @@ import fs from 'fs';
 import path from 'path';
 import { zipSync, strToU8 } from 'fflate';
 import db from './db.js';
+import tokenizer from './tokenizer.js';
+import references from './references.js';
+import fields from './fields.js';
 
 const zipName = 'site.zip';
 const imagesSubdir = 'res';
@@ -73,6 +76,12 @@ const compileHTML = (params) => `
         }
       });
       $(".choices").iziModal({ "overlayColor": "rgba(0, 0, 0, 0.6)", "padding": 10});
+      $(document).on('mouseenter', '.sentence', function () {
+        $('.sentence[data-link="' + $(this).data("link") + '"]').addClass("synced");
+      });
+      $(document).on('mouseleave', '.sentence', function () {
+        $('.synced').removeClass("synced");
+      });
       $(document).on('click', '.btn', function (event) {
         event.preventDefault();
         // console.log("click!", $(this).data("id"));
@@ -104,6 +113,8 @@ const compileHTML = (params) => `
 
     ${params.body}
 
+    ${params.apparatus}
+
     <footer>
       <p class="${params.creditsclass}">${params.credits}</p>
     </footer>
@@ -121,8 +132,53 @@ const renderFigure = (figObj) => {
 };
 
 const escape = (str) => str.replaceAll("'", '&apos;').replaceAll('"', '&quot;');
+const escapeHTML = (str) => escape(String(str ?? '').replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;'));
+
+const variantLabels = { omission: () => 'om.', addition: (x) => `${x.before ? 'praem.' : 'add.'} ${x.reading}` };
+
+// the readings of the same place make one entry of the apparatus, the witnesses with the same reading are listed together
+// the entries follow the order of their places in the text
+const groupReadings = (readings, tokens) => {
+  const positions = Object.fromEntries(tokens.map((x, i) => [x.id, i]));
+  const placeOf = (entry) => positions[entry.before ? entry.start_id : entry.end_id] ?? -1;
+  return Object.values(readings.reduce((acc, x) => {
+    const key = [x.start_id, x.end_id, x.type === 'addition', x.before].join('-');
+    const entry = acc[key] || {
+      start_id: x.start_id, end_id: x.end_id, before: x.before, lemma: x.lemma, variants: {}
+    };
+    const label = variantLabels[x.type]?.(x) ?? x.reading;
+    const variant = entry.variants[label] || { label, sigla: [], notes: [] };
+    variant.sigla.push(x.siglum);
+    if (x.note) {
+      variant.notes.push(x.note);
+    }
+    entry.variants[label] = variant;
+    return { ...acc, [key]: entry };
+  }, {})).sort((a, b) => placeOf(a) - placeOf(b) || b.before - a.before);
+};
 
-const build = async (currentDir, id, siteDir, imagesDir) => {
+const compileApparatus = (witnesses, entries) => `
+<div class="row apparatus">
+<p class="witnesses">${witnesses.map((x) => `<span class="siglum">${escapeHTML(x.siglum)}</span> ${escapeHTML(x.title)}`).join('; ')}</p>
+<ol>
+${entries.map((entry, i) => `<li id="app${i + 1}"><a href="#appref${i + 1}" class="lemma">${escapeHTML(entry.lemma)}</a> ] ${Object.values(entry.variants)
+    .map((x) => `${escapeHTML(x.label)} ${x.sigla.map((siglum) => `<span class="siglum">${escapeHTML(siglum)}</span>`).join(' ')}${x.notes.length ? ` <span class="app-note">${escapeHTML(x.notes.join(' '))}</span>` : ''}`)
+    .join('; ')}</li>`).join('\n')}
+</ol>
+</div>
+`;
+
+// the translation is rendered as plain text, its sentences are linked to the sentences of the original
+const renderTranslation = (tokens, sentenceLinks) => tokens.reduce((acc, token, index) => {
+  const [previous, next] = [tokens[index - 1], tokens[index + 1]];
+  const opening = token.s !== previous?.s ? `<span class="sentence" data-link="${sentenceLinks[token.s] ?? ''}">` : '';
+  const closing = token.s !== next?.s ? '</span>' : '';
+  const space = acc[token.p] && (opening || !tokenizer.isGlued(previous, token)) ? ' ' : '';
+  acc[token.p] = `${acc[token.p] ?? ''}${space}${opening}${token.repr}${closing}`;
+  return acc;
+}, {});
+
+const build = async (user, currentDir, id, siteDir, imagesDir) => {
   const textId = Number(id);
   if (!textId) {
     return { error: 'no ID' };
@@ -141,7 +197,14 @@ const build = async (currentDir, id, siteDir, imagesDir) => {
 
     // console.log("request to publish", textId, pubDir);
 
-    const [textsInfo, tokens, comments, sources] = await Promise.all([db.getTexts(textId), db.getText(textId), db.getFullComments(textId, true), db.getSource()]);
+    const [textsInfo, tokens, comments, sources, witnesses, readings] = await Promise.all([db.getTexts(textId), db.getText(textId), db.getFullComments(textId, true), db.getSource(), db.getWitnesses(textId), db.getReadings(textId)]);
+    // the bilingual edition places the aligned paragraphs of the original and of the translation side by side
+    const pair = (await db.getParallels(textId)).find((x) => x.text_id === textId && x.bilingual);
+    const [translation, paragraphLinks, sentenceLinks] = pair
+      ? await Promise.all([db.getText(pair.translation_id), db.getSegments(pair.id, 'p'), db.getSegments(pair.id, 's')])
+      : [[], [], []];
+    // the sentences of the same segment share its number, it is used to highlight them together
+    const [sourceSentences, targetSentences] = ['source', 'target'].map((side) => Object.fromEntries(sentenceLinks.flatMap((x, i) => x[side].map((unit) => [unit, i + 1]))));
     const sourcesDict = Object.assign({}, ...(sources.map((x) => ({ [x.id]: x }))));
     const commentsDict = Object.assign({}, ...(comments.map((x) => ({ [x.id]: x }))));
 
@@ -149,12 +212,11 @@ const build = async (currentDir, id, siteDir, imagesDir) => {
     // console.log('text', textInfo?.scheme);
     // ${}
 
-    const isGlued = (tkn) => {
-      if (tkn?.meta === 'ip') {
-        return ['«', '('].includes(tkn?.repr) ? 'left' : 'right';
-      }
-      return '';
-    };
+    // the canonical references are shown in the margin at the tokens where they start
+    const margins = Object.fromEntries(tokens
+      .map((x, i) => [i, x.ref])
+      .filter(([i, ref]) => references.isMarginal(textInfo?.refscheme, ref, tokens[i - 1]?.ref))
+      .map(([i, ref]) => [i, `<span class="margin-ref">${escapeHTML(ref)}</span>`]));
 
     const renderToken = (nl, num, cid, tip, multi) => {
       const mode = multi ? 'mult' : 'btn';
@@ -162,27 +224,21 @@ const build = async (currentDir, id, siteDir, imagesDir) => {
       const prevToken = tokens?.[num - 1];
       const curToken = tokens?.[num];
 
-      const { repr } = curToken;
-      const typePlus = isGlued(nextToken);
-      const typeMinus = isGlued(prevToken);
-      let classes = isGlued(curToken);
+      const repr = `${margins[num] || ''}${curToken.repr}`;
+      const gluedBefore = tokenizer.isGlued(prevToken, curToken);
+      const gluedAfter = tokenizer.isGlued(curToken, nextToken);
+      let classes = 'token';
       let prefix = '';
       let postfix = '';
 
-      if (typePlus === 'right') {
-        if (typeMinus !== 'left') {
-          classes = curToken.meta === 'ip' ? '' : 'left';
+      if (gluedAfter) {
+        if (!gluedBefore) {
+          classes = 'left';
         } else {
           classes = curToken.meta === 'ip' ? '' : 'middle';
         }
-      }
-
-      if (!classes) {
-        if (typeMinus === 'left') {
-          classes = 'right';
-        } else {
-          classes = curToken.meta === 'ip' ? '' : 'token';
-        }
+      } else if (gluedBefore) {
+        classes = 'right';
       }
 
       if (classes === 'left') {
@@ -201,26 +257,50 @@ const build = async (currentDir, id, siteDir, imagesDir) => {
       return `${prefix}${result}${postfix}`;
     };
 
-    const tooltipElement = textInfo?.scheme?.find((x) => x.type === 'line')?.id;
+    // the fields are published by their roles, the window of the comment shows the modal fields and switches to the article ones
+    const [tooltipField] = fields.byRole(textInfo?.scheme, 'tooltip');
+    const [modalFields, articleFields] = ['modal', 'article'].map((role) => fields.byRole(textInfo?.scheme, role));
+    const [modalElement, articleElement] = [modalFields[0], articleFields[0]];
+    const titles = {
+      comment: Object.fromEntries(comments.map((x) => [x.id, x.title])),
+      source: Object.fromEntries(sources.map((x) => [x.id, x.bibtex?.id ?? x.citekey])),
+    };
     // if (!textInfo?.scheme) {
     //   const error = 'Scheme issue!';
     //   console.error(error);
     //   return { error };
     // }
 
-    const [modalElement, articleElement] = textInfo?.scheme ? textInfo.scheme.filter((x) => x.type === 'rich') : [];
+    // the marks with attributes wrap the text into their own elements, the rest become the classes of the span
+    const markElements = {
+      gloss: (html, attrs) => `<span class="gloss">${html}<span class="gloss-text">${escapeHTML(attrs.gloss)}</span></span>`,
+      foreign: (html, attrs) => `<i class="foreign"${attrs.lang ? ` lang="${escapeHTML(attrs.lang)}"` : ''}>${html}</i>`,
+      // only the web and mail links are kept
+      link: (html, attrs) => (/^(https?:\/\/|mailto:)/.test(attrs.href ?? '')
+        ? `<a href="${escapeHTML(attrs.href)}" target="_blank" rel="noopener noreferrer">${html}</a>`
+        : html),
+    };
+    const cellSpans = (attrs) => ['colspan', 'rowspan'].filter((x) => attrs?.[x] > 1).map((x) => ` ${x}="${Number(attrs[x])}"`).join('');
 
-    const render = (obj) => {
-      const rendermap = (d) => (d?.content ? d.content.map((c) => render(c)).join('') : '');
+    // the footnotes of the field are collected into the list of notes, which follows the field
+    const render = (obj, notes = []) => {
+      const rendermap = (d) => (d?.content ? d.content.map((c) => render(c, notes)).join('') : '');
 
       if (obj?.type) {
         switch (obj.type) {
           case 'text':
             if (obj?.marks) {
-              const classes = obj.marks.map((x) => x?.attrs?.class || x?.type);
-              return classes.length && !classes.includes('error') ? `<span class="${classes.join(' ')}">${escape(obj?.text)}</span>` : '';
+              const classes = obj.marks.filter((x) => !markElements[x?.type]).map((x) => x?.attrs?.class || x?.type);
+              if (classes.includes('error')) {
+                return '';
+              }
+              const html = classes.length ? `<span class="${classes.join(' ')}">${escape(obj?.text)}</span>` : escape(obj?.text);
+              return obj.marks.filter((x) => markElements[x?.type]).reduce((acc, x) => markElements[x.type](acc, x.attrs || {}), html);
             }
             return escape(obj.text);
+          case 'footnote':
+            notes.push(obj.attrs?.note ?? '');
+            return `<sup class="footnote-ref" title="${escapeHTML(obj.attrs?.note)}">${notes.length}</sup>`;
           case 'figure':
             return renderFigure(obj);
           // case 'image':
@@ -230,10 +310,29 @@ const build = async (currentDir, id, siteDir, imagesDir) => {
           //   return obj.attrs.class === 'caption' ? `<figcaption>${rendermap(obj)}</figcaption>` : '';
           case 'citation':
             return `<span class="citation" title="${sourcesDict[obj.attrs.id].bibtex.title}">(${sourcesDict[obj.attrs.id].bibtex.id})</span>`;
+          case 'commentref':
+            // the link opens the window of the published comment instead of the current one, the others are cited by their titles
+            return commentsDict[obj.attrs.id]
+              ? `<a href="#ms${obj.attrs.id}" class="btn commentref" data-id="${obj.attrs.id}" data-izimodal-close="">${escapeHTML(commentsDict[obj.attrs.id].title)}</a>`
+              : `<span class="commentref">${escapeHTML(obj.attrs.title ?? '')}</span>`;
           case 'paragraph':
             return `<p>${rendermap(obj)}</p>`;
           case 'blockquote':
             return `<div class="blockquote">${rendermap(obj)}</div>`;
+          case 'bulletList':
+            return `<ul>${rendermap(obj)}</ul>`;
+          case 'orderedList':
+            return `<ol${obj.attrs?.start > 1 ? ` start="${Number(obj.attrs.start)}"` : ''}>${rendermap(obj)}</ol>`;
+          case 'listItem':
+            return `<li>${rendermap(obj)}</li>`;
+          case 'table':
+            return `<table class="comment-table"><tbody>${rendermap(obj)}</tbody></table>`;
+          case 'tableRow':
+            return `<tr>${rendermap(obj)}</tr>`;
+          case 'tableHeader':
+            return `<th${cellSpans(obj.attrs)}>${rendermap(obj)}</th>`;
+          case 'tableCell':
+            return `<td${cellSpans(obj.attrs)}>${rendermap(obj)}</td>`;
           default:
             console.log('error', obj);
             return '';
@@ -242,21 +341,51 @@ const build = async (currentDir, id, siteDir, imagesDir) => {
       return '';
     };
 
-    const compileModal = (cmt) => `
-<div id="ms${cmt.id}" class="modals" data-iziModal-title="${cmt.title}"
-${cmt?.entry?.[tooltipElement] ? `data-iziModal-subtitle="${cmt.entry[tooltipElement]}"` : ''} >
+    // the comments and the sources referenced by the fields open their windows or show their titles
+    const renderField = (field, value) => {
+      if (field.type === 'rich') {
+        const notes = [];
+        const html = value?.content?.map((x) => render(x, notes)).join('') || '';
+        return notes.length ? `${html}<ol class="footnotes">${notes.map((x) => `<li>${escapeHTML(x)}</li>`).join('')}</ol>` : html;
+      }
+      const text = escapeHTML(fields.format(field, value, titles));
+      if (!text) {
+        return '';
+      }
+      const links = {
+        url: () => `<a href="${escapeHTML(value)}" target="_blank">${text}</a>`,
+        comment: () => (commentsDict[value] ? `<a href="#" class="btn" data-id="${value}">${text}</a>` : text),
+        source: () => `<span class="citation" title="${escape(sourcesDict[value]?.bibtex?.title ?? '')}">(${text})</span>`,
+      };
+      return `<p class="field ${field.type}"><span class="field-title">${escapeHTML(field.title)}:</span> ${links[field.type]?.() ?? text}</p>`;
+    };
+    const renderFields = (items, cmt) => items.map((x) => renderField(x, cmt?.entry?.[x.id])).join('');
+    const tooltipOf = (cmt) => fields.format(tooltipField, cmt?.entry?.[tooltipField?.id], titles).trim();
+
+    // the window is published only if the scheme has a modal field, the article page needs it to switch back
+    const compileModal = (cmt) => (modalElement?.id ? `
+<div id="ms${cmt.id}" class="modals" data-iziModal-title="${cmt.ref ? `${escapeHTML(cmt.ref)} ` : ''}${cmt.title}"
+${tooltipOf(cmt) ? `data-iziModal-subtitle="${escape(tooltipOf(cmt))}"` : ''} >
 <div class="content">
-<div class="${modalElement.id}${cmt.id}">${cmt?.entry?.[modalElement?.id]?.content?.map(render).join('') || ''}</div>
+<div class="${modalElement.id}${cmt.id}">${renderFields(modalFields, cmt)}</div>
 ${articleElement?.id ? `
-<div class="${articleElement.id}${cmt.id} hidden">${cmt?.entry?.[articleElement.id]?.content.map(render).join('')}</div>
-<button type="button" data-id="${cmt.id}" class="block ${cmt?.entry?.[articleElement.id]?.content?.[0]?.content ? '' : 'hidden'} ${modalElement.id}${cmt.id}">➜ ${articleElement.title}</button>
+<div class="${articleElement.id}${cmt.id} hidden">${renderFields(articleFields, cmt)}</div>
+<button type="button" data-id="${cmt.id}" class="block ${renderFields(articleFields, cmt).replace(/<[^>]*>/g, '').trim() ? '' : 'hidden'} ${modalElement.id}${cmt.id}">➜ ${articleElement.title}</button>
 <button type="button" data-id="${cmt.id}" class="hidden block ${articleElement.id}${cmt.id} ">➜ ${modalElement.title}</button>` : ''}
 </div></div>
-`;
+` : '');
+
+    // the entries of the apparatus are referenced by numbered markers after their lemmata
+    const entries = groupReadings(readings, tokens);
+    const markers = entries.reduce((acc, entry, i) => {
+      const key = entry.before ? `b${entry.start_id}` : `a${entry.end_id}`;
+      return { ...acc, [key]: `${acc[key] || ''}<sup class="app-marker"><a href="#app${i + 1}" id="appref${i + 1}">${i + 1}</a></sup>` };
+    }, {});
 
     let body = '';
     let paragraph = '';
     let paragraphNumber = 0;
+    const paragraphs = {};
     const choiceModals = {};
 
     // generating tooltips - start
@@ -264,12 +393,17 @@ ${articleElement?.id ? `
       const isNewline = token.p !== paragraphNumber;
       if (isNewline) {
         body += `<div class="row">${paragraph}</div>\n\n`;
+        paragraphs[paragraphNumber] = paragraph;
         paragraph = '';
         paragraphNumber = token.p;
       }
+      if (pair && token.s !== tokens[index - 1]?.s) {
+        paragraph += `<span class="sentence" data-link="${sourceSentences[token.s] ?? ''}">`;
+      }
+      paragraph += markers[`b${token.id}`] || '';
       // if (token.meta !== 'ip') {
       const publishedComments = token.comments.sort((a, b) => a - b).filter((x) => commentsDict?.[x]);
-      const tips = publishedComments.map((x) => [x, commentsDict[x]?.entry?.[tooltipElement]?.trim()]).filter((x) => Boolean(x[1]));
+      const tips = publishedComments.map((x) => [x, tooltipOf(commentsDict[x])]).filter((x) => Boolean(x[1]));
 
       const choiceId = publishedComments.join('-') || '';
 
@@ -290,21 +424,36 @@ ${articleElement?.id ? `
       } else {
         paragraph += renderToken(isNewline, index, choiceId, null, publishedComments.length > 1);
       }
+      paragraph += markers[`a${token.id}`] || '';
+      if (pair && token.s !== tokens[index + 1]?.s) {
+        paragraph += '</span>';
+      }
       // }
     });
     // generating tooltips - end
 
     body += `<div class="row">${paragraph}</div>\n\n`;
+    paragraphs[paragraphNumber] = paragraph;
+
+    if (pair) {
+      const translated = renderTranslation(translation, targetSentences);
+      const rows = paragraphLinks.length ? paragraphLinks : [{ source: Object.keys(paragraphs), target: Object.keys(translated) }];
+      body = rows.map((x) => `<div class="row parallel">
+<div class="original">${x.source.map((p) => paragraphs[p] ?? '').join('<br>')}</div>
+<div class="translation" lang="${pair.translation_lang}">${x.target.map((p) => translated[p] ?? '').join('<br>')}</div>
+</div>\n\n`).join('');
+    }
 
     const output = compileHTML({
       ...textInfo,
       js: jsContent,
       css: cssContent,
-      body,
+      body: Object.keys(margins).length ? `<div class="refs">${body}</div>` : body,
+      apparatus: entries.length ? compileApparatus(witnesses, entries) : '',
       choices: Object.values(choiceModals).join('\n'),
       modal: modalElement?.id,
-      modals: modalElement?.id ? comments.map(compileModal).join('') : '',
-      ...(articleElement?.id && { clickable: articleElement.id })
+      modals: comments.map(compileModal).join(''),
+      ...(modalElement?.id && articleElement?.id && { clickable: articleElement.id })
     });
 
     fs.writeFileSync(path.join(pubDir, indexFile), output);
@@ -325,7 +474,7 @@ ${articleElement?.id ? `
     // const size = output.length; // stats.size
     const { size } = stats;
 
-    await db.updatePubInfo(textId, size, now);
+    await db.updatePubInfo(user, textId, size, now);
     return { bytes: size, dir: pubDir, published: now };
   } catch (genError) {
     console.error(`HTML generation error for text ${textId}`, genError);
@@ -0,0 +1,191 @@
+// part-of-speech tagsets: the tags stored in `units.pos` with their Universal POS tags and colours of the Grammar mode
+// a tag can be refined into other Universal POS tags for the listed tokens, e.g. conjunctions of the Kolas tagset
+
+const universalTags = ['ADJ', 'ADP', 'ADV', 'AUX', 'CCONJ', 'DET', 'INTJ', 'NOUN', 'NUM', 'PART', 'PRON', 'PROPN', 'PUNCT', 'SCONJ', 'SYM', 'VERB', 'X'];
+
+const sconj = ['што', 'калі', 'бо', 'то', 'хоць', 'дык', 'покі', 'каб', 'пакуль', 'або', 'таксама', 'нібы', 'затое', 'абы', 'нібыта', 'шчоб', 'быццам'];
+
+const cconj = ['а', 'і', 'але', 'ды', 'ні', 'дый', 'ці', 'прычым', 'аднак'];
+
+const formatTag = (tag, upos, title, color, font, hotkey = null, refine = {}) => ({
+  tag, upos, title, color, font, hotkey, refine
+});
+
+// the tags of the Kolas corpus, formerly hard-coded in getGrammar and convertToConll, hotkeys are of the jQuery tagging UI
+export const kolasTagset = {
+  title: 'Kolas (Belarusian)',
+  lang: 'be',
+  description: 'The tagset of the Kolas corpus',
+  tags: [
+    formatTag('nn', 'NOUN', 'noun', '#5f4bb5', '#FFFFFF', 'f'),
+    formatTag('np', 'PROPN', 'proper noun', '#6948f6', 'orange', 'p'),
+    formatTag('vb', 'VERB', 'verb', '#32b643', '#FFFFFF', 'd'),
+    formatTag('vi', 'VERB', 'infinitive', '#afe31b', 'red'),
+    formatTag('vg', 'VERB', 'adverbial participle', '#0da6ca', 'lightyellow'),
+    formatTag('va', 'VERB', 'participle (дзеепрыметнік)', '#ffb700', '#FFFFFF'),
+    formatTag('aj', 'ADJ', 'adjective', '#e85600', '#FFFFFF', 's'),
+    formatTag('av', 'ADV', 'adverb', '#f801ff', '#FFFFFF', 'a'),
+    formatTag('prad', 'ADV', 'pronominal adverb (займ. прысл)', '#d61f1f', 'white'),
+    formatTag('mod', 'ADV', 'modifier (мадыфікатар)', 'cyan', 'red'),
+    formatTag('nm', 'NUM', 'numeral', 'lightblue', 'black'),
+    formatTag('pn', 'PRON', 'pronoun', 'navy', '#FFFFFF', 'z'),
+    formatTag('pp', 'ADP', 'preposition', '#85144b', '#FFFFFF', 'v'),
+    formatTag('cj', 'CCONJ', 'conjunction', 'yellow', 'gray', 'c', { CCONJ: cconj, SCONJ: sconj }),
+    formatTag('part', 'PART', 'particle', 'pink', 'red'),
+    formatTag('intj', 'INTJ', 'interjection', '#065535', 'white'),
+    formatTag('det', 'DET', 'determiner', '#00ff00', 'navy'),
+    formatTag('aux', 'AUX', 'auxiliary', 'silver', 'navy'),
+    formatTag('dm', '', 'discourse marker', 'cyan', 'gray'),
+    formatTag('nb', 'X', 'non-Belarusian', '#b66935', 'black', 'b'),
+    formatTag('nw', 'X', 'non-word', 'black', 'yellow'),
+    formatTag('ip', 'PUNCT', 'punctuation', 'lightgray', ''),
+  ],
+};
+
+// CoNLL-U import stores lowercased UPOS column by default
+export const universalTagset = {
+  title: 'Universal POS tags',
+  lang: null,
+  description: 'https://universaldependencies.org/u/pos/',
+  tags: universalTags.map((x) => formatTag(x.toLowerCase(), x, '', '', '')),
+};
+
+// column names of the files describing tagsets (public/classes.json, public/tableClasses.csv)
+const columns = {
+  tag: ['tag', 'pos', 'xpos'],
+  title: ['title', 'eng', 'name'],
+  description: ['description', 'desc'],
+  examples: ['examples', 'ex'],
+  subclass: ['class'],
+  upos: ['upos'],
+  color: ['color', 'background'],
+  font: ['font'],
+  hotkey: ['hotkey', 'key'],
+};
+
+// RFC 4180: quoted fields can contain commas, line breaks and doubled quotes
+const parseCSV = (content) => {
+  const rows = [];
+  let [row, field, quoted] = [[], '', false];
+  const text = content.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += char;
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      [row, field] = [[], ''];
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  const [header = [], ...records] = rows.filter((x) => x.some((y) => y.trim()));
+  return records.map((x) => Object.fromEntries(header.map((key, i) => [key.trim(), x[i] ?? ''])));
+};
+
+const pick = (record, key) => {
+  const column = columns[key].find((x) => record[x] !== undefined && record[x] !== null);
+  return column ? String(record[column]).trim() : '';
+};
+
+const unique = (list) => [...new Set(list.filter((x) => x))];
+
+export default {
+  universalTags,
+  // returns the list of tags described by the file, rows of the same tag are merged
+  parse(content, format) {
+    let records = [];
+    try {
+      records = format === 'json' ? JSON.parse(content) : parseCSV(String(content));
+    } catch (error) {
+      return { error: `the file cannot be parsed: ${error.message}` };
+    }
+    if (!Array.isArray(records)) {
+      return { error: 'the file should contain a list of tags' };
+    }
+    const grouped = records.reduce((acc, record) => {
+      const tag = pick(record, 'tag');
+      if (tag) {
+        acc[tag] = [...(acc[tag] || []), record];
+      }
+      return acc;
+    }, {});
+    const tags = Object.entries(grouped).map(([tag, list]) => ({
+      tag,
+      title: unique(list.map((x) => pick(x, 'title'))).join(' / '),
+      description: unique(list.map((x) => {
+        const [description, subclass] = [pick(x, 'description'), pick(x, 'subclass')];
+        return subclass && description ? `${description} (${subclass})` : description;
+      })).join('; '),
+      examples: unique(list.map((x) => pick(x, 'examples'))).join('; '),
+      upos: pick(list[0], 'upos').toUpperCase(),
+      color: pick(list[0], 'color'),
+      font: pick(list[0], 'font'),
+      hotkey: pick(list[0], 'hotkey'),
+    }));
+    return tags.length ? { tags } : { error: 'no tags are found in the file' };
+  },
+  // returns error message for the first invalid tag
+  validate(tagset) {
+    if (!tagset?.title?.trim()) {
+      return 'title is empty';
+    }
+    const tags = tagset.tags || [];
+    if (!Array.isArray(tags)) {
+      return 'tags should be a list';
+    }
+    const seen = new Set();
+    const hotkeys = new Set();
+    const invalid = tags.map((x, i) => {
+      const tag = String(x?.tag ?? '').trim();
+      if (!tag || /\s/.test(tag)) {
+        return `tag ${i + 1}: empty or contains spaces`;
+      }
+      if (seen.has(tag)) {
+        return `tag ${i + 1}: '${tag}' is duplicated`;
+      }
+      seen.add(tag);
+      if (x.hotkey && (x.hotkey.length !== 1 || hotkeys.has(x.hotkey))) {
+        return `tag ${i + 1}: hotkey should be a single character used once`;
+      }
+      hotkeys.add(x.hotkey);
+      const refined = Object.keys(x.refine || {});
+      return [x.upos, ...refined].filter((y) => y && !universalTags.includes(y)).map((y) => `tag ${i + 1}: '${y}' is not a Universal POS tag`).shift() || '';
+    }).find((x) => x);
+    return invalid || '';
+  },
+  compile(tags) {
+    return Object.fromEntries((tags || []).map((x) => [x.tag.toLowerCase(), { upos: x.upos, refine: Object.entries(x.refine || {}) }]));
+  },
+  getUniversalTag(compiled, pos, meta, token) {
+    if (meta !== 'word') {
+      return 'PUNCT';
+    }
+    if (!pos) {
+      return '_';
+    }
+    const item = compiled[pos.toLowerCase()];
+    const refined = item?.refine.find(([, list]) => list.includes(token?.toLowerCase()));
+    return refined?.[0] || item?.upos || (universalTags.includes(pos.toUpperCase()) ? pos.toUpperCase() : 'X');
+  },
+};
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import tokenizer from '../tokenizer.js';
+
+const sentences = (chunk, language) => {
+  const { tokens } = tokenizer.tokenizeChunk(chunk, 1, 1, language);
+  return [...new Set(tokens.map((x) => x.s))].map((s) => tokens.filter((x) => x.s === s && x.meta === 'word').map((x) => x.repr).join(' '));
+};
+
+test('a straight quote after the full stop ends the sentence', () => {
+  assert.deepEqual(sentences('He said "Hello." Then left.', 'en'), ['He said Hello', 'Then left']);
+});
+
+test('etc. and years end the sentence', () => {
+  assert.deepEqual(sentences('Apples, pears etc. Then we left.', 'en'), ['Apples pears etc', 'Then we left']);
+  assert.deepEqual(sentences('Ён нарадзіўся ў 1990 г. Потым вучыўся.', 'be'), ['Ён нарадзіўся ў 1990 г', 'Потым вучыўся']);
+});
+
+test('abbreviations do not end the sentence', () => {
+  assert.deepEqual(sentences('Ask Mr. Smith about it.', 'en'), ['Ask Mr. Smith about it']);
+});
+
+test('empty lines are not paragraphs and paragraphs are numbered from 1', () => {
+  const { paragraphs, tokens } = tokenizer.tokenize('One.\n\nTwo.\n', 'en');
+  assert.equal(paragraphs, 2);
+  assert.deepEqual([...new Set(tokens.map((x) => x.p))], [1, 2]);
+});
@@ -0,0 +1,206 @@
+// rule-based tokenizer shared by all the importers
+// rules are keyed by the language code of a text (the part of `texts.lang` before the hyphen)
+
+const defaultRules = {
+  // characters of words besides letters and digits
+  wordChars: "$'’*-",
+  // punctuation marks ending a sentence
+  sentenceEnd: '.…!?',
+  // a sentence can start only with a capital letter or one of these characters
+  sentenceStart: '"«–—',
+  // straight double quotes are replaced with these, opening and closing
+  quotes: ['«', '»'],
+  // straight single quotes are replaced with this
+  apostrophe: '’',
+  // punctuation sequences kept as a single token
+  compounds: ['!..', '?..', '...'],
+  // tokens with a period that does not end a sentence, written without the period
+  // the ones often ending a sentence (etc., years) or clashing with words of one letter are left out, they would glue the sentences
+  abbreviations: [],
+  // parts of words to be split off as separate tokens, written with the apostrophe from rules
+  clitics: { prefixes: [], suffixes: [] },
+};
+
+const languageRules = {
+  be: {
+    abbreviations: ['ст', 'стст', 'тыс', 'млн', 'млрд', 'вул', 'напр', 'інш', 'гл', 'кн', 'ч'],
+  },
+  ru: {
+    abbreviations: ['ст', 'тыс', 'млн', 'млрд', 'ул', 'напр', 'др', 'пр', 'см', 'кн', 'ч'],
+  },
+  uk: {
+    abbreviations: ['ст', 'тис', 'млн', 'млрд', 'вул', 'напр', 'ін', 'див', 'кн', 'ч'],
+  },
+  pl: {
+    quotes: ['„', '”'],
+    abbreviations: ['np', 'tzn', 'itd', 'itp', 'r', 'w', 'ul', 'prof', 'dr', 'ks', 'str', 'tj', 'zob'],
+  },
+  de: {
+    quotes: ['„', '“'],
+    abbreviations: ['z.B', 'bzw', 'usw', 'vgl', 'Nr', 'Dr', 'Prof', 'S', 'd.h', 'u.a', 'ca'],
+  },
+  en: {
+    quotes: ['“', '”'],
+    abbreviations: ['Mr', 'Mrs', 'Ms', 'Dr', 'Prof', 'St', 'vs', 'e.g', 'i.e', 'cf', 'vol', 'p', 'pp', 'ch'],
+    clitics: { prefixes: [], suffixes: ['’s', 'n’t', '’ll', '’re', '’ve', '’m', '’d'] },
+  },
+  fr: {
+    abbreviations: ['M', 'Mme', 'Mlle', 'MM', 'cf', 'p', 'chap'],
+    clitics: {
+      prefixes: ['l’', 'd’', 'j’', 'm’', 't’', 's’', 'c’', 'n’', 'qu’', 'jusqu’', 'lorsqu’', 'puisqu’', 'quoiqu’'],
+      suffixes: [],
+    },
+  },
+  it: {
+    abbreviations: ['sig', 'dott', 'prof', 'ecc', 'cfr', 'p'],
+    clitics: {
+      prefixes: ['l’', 'un’', 'dell’', 'all’', 'dall’', 'nell’', 'sull’', 'c’', 'd’', 'quest’', 'quell’'],
+      suffixes: [],
+    },
+  },
+  el: {
+    // the Greek question mark is identical to a semicolon
+    sentenceEnd: '.…!?;',
+  },
+  grc: {
+    sentenceEnd: '.…!?;',
+  },
+  la: {
+    abbreviations: ['cf', 'sc', 'vid'],
+  },
+};
+
+// punctuation marks sticking to the next token, the rest of them stick to the previous one
+const openingMarks = ['«', '('];
+
+const escapeClass = (chars) => chars.replace(/[\\\]^-]/g, '\\$&');
+
+const compileRules = (language) => {
+  const rules = { ...defaultRules, ...languageRules[language] };
+  const [open, close] = rules.quotes;
+  const ends = escapeClass(rules.sentenceEnd);
+  return {
+    ...rules,
+    abbreviations: rules.abbreviations.map((x) => `${x}.`),
+    sentenceBorder: new RegExp(`(?<=[${ends}»”“])\\s+(?=[${escapeClass(rules.sentenceStart + open)}\\p{Lu}])`, 'u'),
+    sentenceEndMark: new RegExp(`^[${ends}]+$`),
+    nonWordChar: new RegExp(`([^\\p{L}\\p{M}\\d${escapeClass(rules.wordChars + rules.apostrophe)}])`, 'gu'),
+    word: new RegExp(`^[\\p{L}\\p{M}${escapeClass(rules.wordChars + rules.apostrophe)}]+$`, 'u'),
+    normalize: (chunk) => chunk
+      .replace(/"$/, close)
+      .replace(/"(?=[\p{L}\d])/gu, open)
+      .replace(/"/g, close)
+      .replaceAll("'", rules.apostrophe),
+  };
+};
+
+const cache = {};
+
+const getRules = (language) => {
+  const key = languageRules[language] ? language : '';
+  if (!cache[key]) {
+    cache[key] = compileRules(key);
+  }
+  return cache[key];
+};
+
+const formatToken = (p, s, form, repr, meta) => ({
+  p, s, form, repr, meta
+});
+
+const splitClitics = (word, rules) => {
+  const lower = word.toLowerCase();
+  const prefix = rules.clitics.prefixes.find((x) => lower.startsWith(x) && lower.length > x.length);
+  if (prefix) {
+    return [word.slice(0, prefix.length), ...splitClitics(word.slice(prefix.length), rules)];
+  }
+  const suffix = rules.clitics.suffixes.find((x) => lower.endsWith(x) && lower.length > x.length);
+  if (suffix) {
+    return [...splitClitics(word.slice(0, -suffix.length), rules), word.slice(-suffix.length)];
+  }
+  return [word];
+};
+
+const splitToken = (p, s, chars, rules) => {
+  const token = rules.normalize(chars);
+
+  const abbreviation = rules.abbreviations.find((x) => token.startsWith(x) && !rules.word.test(token.slice(x.length, x.length + 1)));
+  if (abbreviation) {
+    const rest = token.slice(abbreviation.length);
+    return [
+      formatToken(p, s, token, abbreviation, 'word'),
+      ...(rest ? splitToken(p, s, rest, rules).map((x) => ({ ...x, form: token, meta: x.meta === 'ip+' ? 'ip' : x.meta })) : []),
+    ];
+  }
+
+  const withPuncts = token.split(rules.nonWordChar);
+  if (withPuncts.length === 1) {
+    return splitClitics(token, rules).map((x) => formatToken(p, s, token, x, 'word'));
+  }
+
+  const tokens = [];
+  const word = withPuncts.shift();
+  const puncts = withPuncts.filter((x) => x);
+  if (word) {
+    tokens.push(...splitClitics(word, rules).map((x) => formatToken(p, s, token, x, 'word')));
+  }
+  const compound = puncts.join('');
+  if (puncts.length === 1 || rules.compounds.includes(compound)) {
+    tokens.push(formatToken(p, s, compound, compound, word || puncts.length > 1 ? 'ip' : 'ip+'));
+  } else {
+    tokens.push(...puncts.flatMap((x) => (rules.word.test(x)
+      ? splitClitics(x, rules).map((y) => formatToken(p, s, token, y, 'word'))
+      : [formatToken(p, s, token, x, 'ip')])));
+  }
+  return tokens;
+};
+
+// splits into sentences, gluing back the ones broken after abbreviations
+// the quotes are normalised first, a straight quote after the full stop would hide the border
+const splitSentences = (chunk, rules) => rules.normalize(chunk).split(rules.sentenceBorder).reduce((acc, x) => {
+  const previous = acc[acc.length - 1];
+  if (previous && rules.abbreviations.some((abbr) => previous.endsWith(` ${abbr}`) || previous === abbr)) {
+    acc[acc.length - 1] = `${previous} ${x}`;
+  } else {
+    acc.push(x);
+  }
+  return acc;
+}, []);
+
+export default {
+  languages: Object.keys(languageRules),
+  // tokenizes a chunk of a paragraph starting from the sentence number given
+  tokenizeChunk(chunk, p, s, language) {
+    const rules = getRules(language);
+    let sentence = s - 1;
+    const tokens = splitSentences(chunk, rules).map((x) => {
+      sentence += 1;
+      return x.split(/\s+/).filter((y) => y).map((y) => splitToken(p, sentence, y, rules));
+    }).flat(2);
+    return { tokens, sentence };
+  },
+  // whether there is no space between two adjacent tokens: imported CoNLL-U texts keep it explicitly
+  isGlued(token, next) {
+    if (!token || !next) {
+      return false;
+    }
+    if (typeof token.spaceafter === 'boolean') {
+      return !token.spaceafter;
+    }
+    return (token.meta === 'ip' && openingMarks.includes(token.repr)) || (next.meta === 'ip' && !openingMarks.includes(next.repr));
+  },
+  isSentenceEnd(token, language) {
+    return getRules(language).sentenceEndMark.test(token?.repr);
+  },
+  // every non-empty line of the text is a paragraph, numbered from 1 like in TEI
+  tokenize(content, language) {
+    const lines = String(content).split('\n').map((x) => x.trim()).filter((x) => x);
+    let sentence = 0;
+    const tokens = lines.map((line, i) => {
+      const result = this.tokenizeChunk(line, i + 1, sentence + 1, language);
+      sentence = result.tokens.length ? result.sentence : sentence;
+      return result.tokens;
+    }).flat();
+    return { paragraphs: lines.length, sentences: sentence, tokens };
+  },
+};
@@ -0,0 +1,89 @@
+// editorial workflow of comments: the states and the transitions allowed for privilege levels
+// privileges are of `users.privs`: 1 – administrator, 5 – editor, 7 – user; a transition is allowed to the level and the ones above
+
+const privileges = [1, 5, 7];
+
+const formatState = (id, title, color, final = false) => ({
+  id, title, color, final
+});
+
+// the first state is the initial one, the comments in the final states are published
+export const defaultWorkflow = {
+  states: [
+    formatState('draft', 'Draft', '#909399'),
+    formatState('review', 'Peer review', '#2080f0'),
+    formatState('copyedit', 'Copy-editing', '#f0a020'),
+    formatState('approval', 'Approval', '#8a2be2'),
+    formatState('approved', 'Approved', '#18a058', true),
+  ],
+  transitions: [
+    { from: 'draft', to: 'review', privs: 5 },
+    { from: 'review', to: 'draft', privs: 5 },
+    { from: 'review', to: 'copyedit', privs: 5 },
+    { from: 'copyedit', to: 'review', privs: 5 },
+    { from: 'copyedit', to: 'approval', privs: 5 },
+    { from: 'approval', to: 'copyedit', privs: 1 },
+    { from: 'approval', to: 'approved', privs: 1 },
+    { from: 'approved', to: 'copyedit', privs: 1 },
+  ],
+};
+
+const getWorkflow = (workflow) => (workflow?.states?.length ? workflow : defaultWorkflow);
+
+export default {
+  get: getWorkflow,
+  // returns error message for the first invalid state or transition
+  validate(workflow) {
+    const states = workflow?.states;
+    if (!Array.isArray(states) || !states.length) {
+      return 'there should be at least one state';
+    }
+    const ids = new Set();
+    const invalidState = states.map((x, i) => {
+      const id = String(x?.id ?? '');
+      if (!/^[a-z0-9_-]+$/.test(id)) {
+        return `state ${i + 1}: the identifier should consist of lowercase Latin letters, digits, dashes or underscores`;
+      }
+      if (ids.has(id)) {
+        return `state ${i + 1}: '${id}' is duplicated`;
+      }
+      ids.add(id);
+      return x.title ? '' : `state ${i + 1}: title is empty`;
+    }).find((x) => x);
+    if (invalidState) {
+      return invalidState;
+    }
+    if (!states.some((x) => x.final)) {
+      return 'there should be at least one final state';
+    }
+    const transitions = workflow.transitions || [];
+    if (!Array.isArray(transitions)) {
+      return 'transitions should be a list';
+    }
+    const invalidTransition = transitions.map((x, i) => {
+      if (!ids.has(x?.from) || !ids.has(x?.to) || x.from === x.to) {
+        return `transition ${i + 1}: the states are wrong`;
+      }
+      return privileges.includes(Number(x.privs)) ? '' : `transition ${i + 1}: wrong privilege level`;
+    }).find((x) => x);
+    return invalidTransition || '';
+  },
+  initial(workflow) {
+    return getWorkflow(workflow).states[0].id;
+  },
+  finals(workflow) {
+    return getWorkflow(workflow).states.filter((x) => x.final).map((x) => x.id);
+  },
+  isFinal(workflow, state) {
+    return this.finals(workflow).includes(state);
+  },
+  // the states the comment can be moved to from the state by the user of the privilege level
+  // the comments in the states removed from the workflow are moved as the ones in the initial state
+  targets(workflow, state, privs) {
+    const { states, transitions } = getWorkflow(workflow);
+    const from = states.some((x) => x.id === state) ? state : states[0].id;
+    return transitions
+      .filter((x) => x.from === from && Number(privs) <= Number(x.privs))
+      .map((x) => x.to);
+  },
+};